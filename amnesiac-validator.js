@@ -0,0 +1,25 @@
+"use strict";
+
+const Validator = require('./validator.js');
+
+/**
+ * This class forgets its lock at the start of every round, so that it
+ * prevotes for whatever block is proposed rather than for the block it
+ * locked on to.  (Unlike double voting, this behavior does not leave
+ * conflicting messages from the same round, so it cannot be proven with
+ * evidence.  The other validators must instead be able to tolerate it.)
+ */
+module.exports = class AmnesiacValidator extends Validator {
+
+  newRound() {
+    if (this.nextBlock === undefined && this.lockedBlockID !== undefined) {
+      this.log(`Forgetting lock on block ${this.lockedBlockID}.`);
+      delete this.lockedBlockID;
+      delete this.lockedBlock;
+      delete this.lockedRound;
+      delete this.proofOfLock;
+    }
+    super.newRound();
+  }
+
+};
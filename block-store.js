@@ -0,0 +1,121 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+const StakeBlockchain = require('./stake-blockchain.js');
+
+const BLOCKS_FILE = "blocks.jsonl";
+const SNAPSHOT_FILE = "snapshot.json";
+
+// Default number of blocks between snapshots.
+const SNAPSHOT_INTERVAL = 100;
+
+/**
+ * A durable store for a validator's blockchain, so that a node can be
+ * restarted without starting over from the genesis block.
+ *
+ * Every block that the validator accepts is appended to a log of blocks,
+ * one JSON block per line.  Blocks are stored along with their commit
+ * certificates (in the proof field), so that they can be verified again
+ * when they are loaded.
+ *
+ * Periodically, the state of a block (balances, stake, unbonding gold,
+ * accumulated power, etc.) is written to a snapshot.  Only the latest
+ * snapshot is kept.  On restart, the node begins from the snapshot and
+ * replays the blocks that came after it.
+ */
+module.exports = class BlockStore {
+
+  static get SNAPSHOT_INTERVAL() { return SNAPSHOT_INTERVAL; }
+
+  /**
+   * @param {String} dirName - Directory for the store, which is created if needed.
+   * @param {number} [snapshotInterval] - Number of blocks between snapshots.
+   */
+  constructor(dirName, snapshotInterval=SNAPSHOT_INTERVAL) {
+    if (!Number.isInteger(snapshotInterval) || snapshotInterval < 1) {
+      throw new Error(`Snapshot interval must be a positive integer, but was ${snapshotInterval}.`);
+    }
+
+    this.dirName = dirName;
+    this.snapshotInterval = snapshotInterval;
+    this.blocksFile = path.join(dirName, BLOCKS_FILE);
+    this.snapshotFile = path.join(dirName, SNAPSHOT_FILE);
+
+    fs.mkdirSync(dirName, { recursive: true });
+  }
+
+  /**
+   * Writes a block to the end of the log, taking a snapshot
+   * if the block's height is a multiple of the snapshot interval.
+   *
+   * @param {StakeBlock} block - A block accepted by the validator.
+   */
+  appendBlock(block) {
+    let fd = fs.openSync(this.blocksFile, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(block) + "\n");
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (block.chainLength % this.snapshotInterval === 0) {
+      this.saveSnapshot(block);
+    }
+  }
+
+  /**
+   * Saves a block along with its state, replacing any earlier snapshot.
+   * The snapshot is written to a temporary file first, so that a crash
+   * while writing it does not lose the previous snapshot.
+   *
+   * @param {StakeBlock} block - The block to save.
+   */
+  saveSnapshot(block) {
+    let tmpFileName = `${this.snapshotFile}.tmp`;
+    fs.writeFileSync(tmpFileName, JSON.stringify({ block: block, state: block.getState() }));
+    fs.renameSync(tmpFileName, this.snapshotFile);
+  }
+
+  /**
+   * Loads the latest snapshot and the blocks that came after it.  A block
+   * that was only partly written when the node crashed is ignored.
+   *
+   * StakeBlockchain.makeGenesis must be called first, so that the
+   * block and transaction classes are configured.
+   *
+   * @returns {Object} - The snapshot block (undefined if there is no snapshot),
+   *    and an array of the later blocks, sorted by height.
+   */
+  load() {
+    if (!fs.existsSync(this.snapshotFile)) {
+      return { snapshot: undefined, blocks: [] };
+    }
+
+    let { block, state } = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8'));
+    let snapshot = StakeBlockchain.deserializeBlock(block);
+    snapshot.setState(state);
+
+    let blocks = [];
+    if (fs.existsSync(this.blocksFile)) {
+      for (let line of fs.readFileSync(this.blocksFile, 'utf8').split("\n")) {
+        if (line.trim() === "") continue;
+        let o;
+        try {
+          o = JSON.parse(line);
+        } catch (e) {
+          break;
+        }
+        if (o.chainLength > snapshot.chainLength) {
+          blocks.push(StakeBlockchain.deserializeBlock(o));
+        }
+      }
+    }
+    blocks.sort((a, b) => a.chainLength - b.chainLength);
+
+    return { snapshot, blocks };
+  }
+
+};
@@ -0,0 +1,21 @@
+"use strict";
+
+const StakeBlockchain = require('./stake-blockchain.js');
+const Validator = require('./validator.js');
+const Vote = require('./vote.js');
+
+/**
+ * This class behaves like a normal validator until it commits
+ * to a block.  At that point, it also commits to a Nil block.
+ */
+module.exports = class ByzantineCommitter extends Validator {
+
+  commit(winningBlockID, height=this.height) {
+    super.commit(winningBlockID, height);
+    if (this.nextBlock !== undefined && this.nextBlock.id === winningBlockID) {
+      let vote = Vote.makeNilVote(this, StakeBlockchain.COMMIT);
+      this.net.broadcast(StakeBlockchain.COMMIT, vote);
+    }
+  }
+
+};
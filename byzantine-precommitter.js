@@ -0,0 +1,21 @@
+"use strict";
+
+const StakeBlockchain = require('./stake-blockchain.js');
+const Validator = require('./validator.js');
+const Vote = require('./vote.js');
+
+/**
+ * This class behaves like a normal validator until it precommits
+ * to a block.  At that point, it also precommits to a Nil block.
+ */
+module.exports = class ByzantinePrecommitter extends Validator {
+
+  precommit() {
+    super.precommit();
+    if (this.signedMessages.has(`${StakeBlockchain.PRECOMMIT}-${this.height}-${this.round}`)) {
+      let vote = Vote.makeNilVote(this, StakeBlockchain.PRECOMMIT);
+      this.net.broadcast(StakeBlockchain.PRECOMMIT, vote);
+    }
+  }
+
+};
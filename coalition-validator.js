@@ -0,0 +1,88 @@
+"use strict";
+
+const Proposal = require('./proposal.js');
+const StakeBlockchain = require('./stake-blockchain.js');
+const Validator = require('./validator.js');
+const Vote = require('./vote.js');
+
+const SPEND_AMT = 100;
+
+/**
+ * A member of a coalition of Byzantine validators (see coalition.js).
+ * When it proposes a block, it also proposes an alternative block and
+ * shares the alternative with the coalition.  Every member then prevotes
+ * and precommits for both of the proposed blocks.
+ */
+module.exports = class CoalitionValidator extends Validator {
+
+  /**
+   * @param {Object} obj - The properties of the validator.
+   * @param {Coalition} obj.coalition - The coalition to join.
+   */
+  constructor(...args) {
+    super(...args);
+    let { coalition } = args[0] || {};
+    if (coalition === undefined) throw new Error("A coalition validator must be given a coalition.");
+    this.coalition = coalition;
+    this.coalition.join(this);
+  }
+
+  /**
+   * After the normal proposal, proposes an alternative block, where
+   * the proposer pays itself, and makes it the coalition's plan.
+   */
+  proposeBlock() {
+    super.proposeBlock();
+
+    let block = StakeBlockchain.makeBlock(this.address, this.lastBlock);
+    let tx = StakeBlockchain.makeTransaction({
+      from: this.address,
+      nonce: this.nonce,
+      pubKey: this.keyPair.public,
+      outputs: [{address: this.address, amount: SPEND_AMT}],
+    });
+    tx.sign(this.keyPair.private);
+    block.addTransaction(tx, this);
+    block.updateAccumPower(this.address);
+
+    let proposal = new Proposal({
+      from: this.address,
+      block: block,
+      blockID: block.id,
+      height: this.height,
+      round: this.round,
+      pubKey: this.keyPair.public,
+    });
+    proposal.sign(this.keyPair.private);
+
+    this.log(`Planning block ${block.id} for the coalition in round ${this.height}-${this.round}.`);
+    this.coalition.setPlan(this.height, this.round, block.id, this.currentBlock.id);
+    this.net.broadcast(StakeBlockchain.BLOCK_PROPOSAL, proposal);
+  }
+
+  prevote() {
+    super.prevote();
+    this.voteForPlan(StakeBlockchain.PREVOTE);
+  }
+
+  precommit() {
+    super.precommit();
+    this.voteForPlan(StakeBlockchain.PRECOMMIT);
+  }
+
+  /**
+   * Votes for the coalition's planned block for the current round, if any.
+   * If this validator already voted for the planned block, it votes for the
+   * other proposed block instead, so that every member votes for both.
+   *
+   * @param {String} type - PREVOTE or PRECOMMIT.
+   */
+  voteForPlan(type) {
+    let plan = this.coalition.getPlan(this.height, this.round);
+    if (plan === undefined) return;
+    let vote = this.signedMessages.get(`${type}-${this.height}-${this.round}`);
+    let blockID = (vote !== undefined && vote.blockID === plan.blockID) ? plan.otherBlockID : plan.blockID;
+    this.net.broadcast(type, Vote.makeVote(this, type, blockID));
+  }
+
+};
@@ -0,0 +1,54 @@
+"use strict";
+
+/**
+ * A group of Byzantine validators that share their plans.  When a member
+ * of the coalition proposes a block, it records an alternative block as the
+ * coalition's plan for that height and round, and the members vote for both
+ * the planned block and the normal block.  (See coalition-validator.js.)
+ */
+module.exports = class Coalition {
+
+  constructor() {
+    // Addresses of the members.
+    this.members = new Set();
+
+    // Plans for each round:  "height-round" -> { blockID, otherBlockID }
+    this.plans = new Map();
+  }
+
+  /**
+   * Adds a validator to the coalition.
+   *
+   * @param {Validator} validator - The new member.
+   */
+  join(validator) {
+    this.members.add(validator.address);
+  }
+
+  /**
+   * Returns true if the address belongs to a member of the coalition.
+   */
+  isMember(addr) {
+    return this.members.has(addr);
+  }
+
+  /**
+   * Records the block that the coalition will vote for in a round.
+   *
+   * @param {number} height - Height of the round.
+   * @param {number} round - The round.
+   * @param {String} blockID - ID of the planned block.
+   * @param {String} otherBlockID - ID of the block that was proposed normally.
+   */
+  setPlan(height, round, blockID, otherBlockID) {
+    this.plans.set(`${height}-${round}`, { blockID, otherBlockID });
+  }
+
+  /**
+   * Returns the coalition's plan for a round, or undefined if there is none.
+   */
+  getPlan(height, round) {
+    return this.plans.get(`${height}-${round}`);
+  }
+
+};
@@ -0,0 +1,131 @@
+"use strict";
+
+const EventLog = require('./event-log.js');
+
+/**
+ * Returns the count, mean, minimum, and maximum of a list of numbers.
+ */
+function stats(values) {
+  if (values.length === 0) return { count: 0 };
+  // Spreading a long list into Math.min/Math.max overflows the stack.
+  let { total, min, max } = values.reduce((acc, n) => ({
+    total: acc.total + n,
+    min: Math.min(acc.min, n),
+    max: Math.max(acc.max, n),
+  }), { total: 0, min: Infinity, max: -Infinity });
+  return {
+    count: values.length,
+    mean: Math.round(100 * total / values.length) / 100,
+    min: min,
+    max: max,
+  };
+}
+
+/**
+ * Summarizes the consensus events of a run (see event-log.js).
+ *
+ * For each height, the metrics are measured across all validators:
+ * a height starts when the first validator starts a round for it, and
+ * is final when the first validator commits a block for it.  The number
+ * of rounds is the highest round that any validator reached, and the
+ * messages are the proposals and votes signed for the height.
+ *
+ * Vote latency is the time between a validator casting a vote and another
+ * validator counting it.  Votes that were never cast through the usual
+ * steps (such as extra votes from Byzantine validators) are not included.
+ */
+module.exports = class ConsensusMetrics {
+
+  /**
+   * @param {Array} events - The events of a run, in the order they were recorded.
+   */
+  constructor(events) {
+    this.events = events;
+  }
+
+  /**
+   * Returns the metrics for each height that was committed:
+   *   height -> { rounds, start, final, timeToFinality, messages }
+   */
+  heights() {
+    let heights = new Map();
+    let heightFor = (height) => {
+      if (!heights.has(height)) heights.set(height, { rounds: 0, messages: 0 });
+      return heights.get(height);
+    };
+
+    this.events.forEach((event) => {
+      switch (event.type) {
+        case EventLog.ROUND_STARTED: {
+          let h = heightFor(event.height);
+          if (h.start === undefined || event.time < h.start) h.start = event.time;
+          h.rounds = Math.max(h.rounds, event.round);
+          break;
+        }
+        case EventLog.COMMITTED: {
+          let h = heightFor(event.blockHeight);
+          if (h.final === undefined || event.time < h.final) h.final = event.time;
+          break;
+        }
+        case EventLog.PROPOSAL_SENT:
+        case EventLog.VOTE_CAST:
+          heightFor(event.msgHeight).messages++;
+          break;
+      }
+    });
+
+    heights.forEach((h, height) => {
+      if (h.start === undefined || h.final === undefined) {
+        heights.delete(height);
+      } else {
+        h.timeToFinality = h.final - h.start;
+      }
+    });
+    return heights;
+  }
+
+  /**
+   * Returns the time between each vote being cast and being counted
+   * by each of the other validators.
+   */
+  voteLatencies() {
+    let castTimes = new Map();
+    let latencies = [];
+    this.events.forEach((event) => {
+      if (event.type === EventLog.VOTE_CAST && !castTimes.has(event.voteID)) {
+        castTimes.set(event.voteID, event.time);
+      } else if (event.type === EventLog.VOTE_COUNTED && event.from !== event.address &&
+          castTimes.has(event.voteID)) {
+        latencies.push(event.time - castTimes.get(event.voteID));
+      }
+    });
+    return latencies;
+  }
+
+  /**
+   * Summarizes the metrics for the run.
+   *
+   * @returns {Object} - Statistics for rounds per height, time to finality,
+   *    vote latency, and messages per block, along with the number of
+   *    evidence transactions posted and the number of times a validator
+   *    was slashed.  (Every validator records the same slashing when it
+   *    commits the block, so each is only counted once.)
+   */
+  summary() {
+    let heights = Array.from(this.heights().values());
+    let slashings = new Set();
+    this.events.forEach((event) => {
+      if (event.type === EventLog.SLASHED) slashings.add(`${event.cheater}-${event.blockID}`);
+    });
+    return {
+      heights: heights.length,
+      roundsPerHeight: stats(heights.map((h) => h.rounds)),
+      timeToFinality: stats(heights.map((h) => h.timeToFinality)),
+      voteLatency: stats(this.voteLatencies()),
+      messagesPerBlock: stats(heights.map((h) => h.messages)),
+      evidencePosted: this.events.filter((event) => event.type === EventLog.EVIDENCE_POSTED).length,
+      slashings: slashings.size,
+    };
+  }
+
+};
@@ -1,127 +1,84 @@
 "use strict";
 
-// Network simulation settings
-const CHANCE_DROPPED_MSG = 0;
-const MESSAGE_DELAY_RANGE = 1000;
-
-// Tendermint settings for delays.
-const DELTA = 400;
-const COMMIT_TIME = 2000;
-
-const { Client, Transaction } = require('spartan-gold');
-
-// Tendermint extensions
-const Validator = require('./validator.js');
-const StakeBlock = require('./stake-block.js');
-const Blockchain = require('./stake-blockchain.js');
-
-// Simulates problematic network conditions.
-const UnreliableNet = require('./unreliable-net.js');
-
-console.log("Starting simulation.  This may take a moment...");
-
-let fakeNet = new UnreliableNet(CHANCE_DROPPED_MSG, MESSAGE_DELAY_RANGE);
-
-// Clients
-let alice = new Client({name: "Alice", net: fakeNet});
-let bob = new Client({name: "Bob", net: fakeNet});
-let charlie = new Client({name: "Charlie", net: fakeNet});
-
-// Miners
-let minnie = new Validator({name: "Minnie", net: fakeNet});
-let mickey = new Validator({name: "Mickey", net: fakeNet});
-let goofy = new Validator({name: "Goofy", net: fakeNet});
-
-// Late validator - Donald.
-let donald = new Validator({name: "Donald", net: fakeNet});
-
-// Creating genesis block
-Blockchain.makeGenesis({
-  blockClass: StakeBlock,
-  transactionClass: Transaction,
-  confirmedDepth: 3,
-  delta: DELTA,
-  commitTime: COMMIT_TIME,
-  clientBalanceMap: new Map([
-    [alice, 233],
-    [bob, 99],
-    [charlie, 67],
-    [minnie, 400],
-    [mickey, 300],
-    [goofy,  200],
-    [donald,  500],
-  ]),
-  startingStakeMap: new Map([
-    [minnie, 200],
-    [mickey,  99],
-    [goofy,   54],
-  ]),
-});
-
-function showBalances(client) {
-  console.log(`Alice has ${client.lastBlock.balanceOf(alice.address)} gold.`);
-  console.log(`Bob has ${client.lastBlock.balanceOf(bob.address)} gold.`);
-  console.log(`Charlie has ${client.lastBlock.balanceOf(charlie.address)} gold.`);
-  console.log(`Minnie has ${client.lastBlock.balanceOf(minnie.address)} gold.`);
-  console.log(`Mickey has ${client.lastBlock.balanceOf(mickey.address)} gold.`);
-  console.log(`Goofy has ${client.lastBlock.balanceOf(goofy.address)} gold.`);
-  console.log(`Donald has ${client.lastBlock.balanceOf(donald.address)} gold.`);
+// Runs a scenario from the scenarios directory (see scenario.js), and
+// prints a report of the run.  With --json, the report is printed as JSON.
+// With --events, the consensus events are written to the file as JSON lines.
+//
+// Usage: node driver.js [scenario file] [seed] [--json] [--events <file>]
+
+const Scenario = require('./scenario.js');
+
+const DEFAULT_SCENARIO = 'scenarios/late-validator.json';
+
+let args = process.argv.slice(2);
+let json = args.includes('--json');
+let eventFile = undefined;
+let eventsIndex = args.indexOf('--events');
+if (eventsIndex !== -1) {
+  eventFile = args[eventsIndex + 1];
+  args.splice(eventsIndex, 2);
 }
+let [file=DEFAULT_SCENARIO, seedArg] = args.filter((arg) => arg !== '--json');
 
-// Showing the initial balances from Alice's perspective, for no particular reason.
-console.log("Initial balances:");
-showBalances(alice);
-
-fakeNet.register(alice, bob, charlie, minnie, mickey, goofy);
-
-// Miners start mining.
-minnie.initialize();
-mickey.initialize();
-goofy.initialize();
-
-// Alice transfers some money to Bob.
-console.log(`Alice is transferring 40 gold to ${bob.address}`);
-alice.postTransaction([{ amount: 40, address: bob.address }]);
-
-//setTimeout(() => {
-//  console.log();
-//  console.log("***Starting a late-to-the-party validator***");
-//  console.log();
-//  fakeNet.register(donald);
-//  donald.postStakingTransaction(300);
-//  setTimeout(() => donald.initialize(), 1000);
-//}, 4000);
-
-// Print out the final balances after it has been running for some time.
-let foo = () => {
-
-  if (minnie.currentBlock.chainLength < 10) {
-    setTimeout(foo, 1000);
-    return;
-  }
+let scenario = Scenario.load(file);
+if (eventFile !== undefined) scenario.spec.eventFile = eventFile;
+let seed = seedArg === undefined ? scenario.spec.seed : parseInt(seedArg);
 
+if (!json) {
+  console.log(`Starting scenario ${scenario.spec.name} with seed ${seed}.`);
+  if (scenario.spec.description) console.log(scenario.spec.description);
   console.log();
-  console.log(`Minnie has a chain of length ${minnie.currentBlock.chainLength}:`);
+} else {
+  // Keeping the output to just the report.
+  scenario.spec.quiet = true;
+}
 
-  console.log();
-  console.log(`Mickey has a chain of length ${mickey.currentBlock.chainLength}:`);
+let start = Date.now();
+let report = scenario.run(seed);
 
-  //console.log();
-  //console.log(`Donald has a chain of length ${donald.currentBlock.chainLength}:`);
+if (json) {
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(0);
+}
 
-  console.log();
-  console.log("Final balances (Minnie's perspective):");
-  showBalances(minnie);
+console.log();
+console.log(`Stopped (${report.stoppedBecause}) after ${report.virtualTime / 1000} virtual seconds ` +
+    `(${(Date.now() - start) / 1000} real seconds).`);
+Object.keys(report.heights).forEach((name) => {
+  console.log(`${name} has a chain of length ${report.heights[name]}.`);
+});
+if (report.agreement.height === undefined) {
+  console.log(`No validators were watched.`);
+} else {
+  console.log(`Validators ${report.agreement.agree ? "agree" : "DISAGREE"} on block ${report.agreement.height}.`);
+}
+console.log(`Last block: ${report.lastBlock}`);
 
+let failed = report.actions.filter((action) => !action.ok);
+if (failed.length > 0) {
   console.log();
-  console.log("Final balances (Alice's perspective):");
-  showBalances(alice);
-
-  //console.log();
-  //console.log("Final balances (Donald's perspective):");
-  //showBalances(donald);
+  failed.forEach((action) => console.log(`Action ${action.do} at ${action.time}ms failed: ${action.error}`));
+}
 
-  process.exit(0);
-};
+console.log();
+console.log(`Final balances (${report.perspective}'s perspective):`);
+report.nodes.forEach((node) => {
+  console.log(`${node.name} (${node.class}) has ${node.balance} gold, ` +
+      `with ${node.staked} staked and ${node.unbonding} unbonding.`);
+});
+if (report.punishments > 0) console.log(`Punished ${report.punishments} offenses.`);
+
+let { metrics } = report;
+let show = ({ mean, min, max }, unit="") => `mean ${mean}${unit} (min ${min}${unit}, max ${max}${unit})`;
+console.log();
+console.log(`Consensus metrics over ${metrics.heights} heights:`);
+if (metrics.heights > 0) {
+  console.log(`  Rounds per height: ${show(metrics.roundsPerHeight)}`);
+  console.log(`  Time to finality: ${show(metrics.timeToFinality, "ms")}`);
+  console.log(`  Messages per block: ${show(metrics.messagesPerBlock)}`);
+}
+if (metrics.voteLatency.count > 0) console.log(`  Vote latency: ${show(metrics.voteLatency, "ms")}`);
+console.log(`  Evidence posted: ${metrics.evidencePosted}, slashings: ${metrics.slashings}`);
+if (eventFile !== undefined) console.log(`Consensus events written to ${eventFile}.`);
 
-setTimeout(foo, 10000);
+process.exit(0);
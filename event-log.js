@@ -0,0 +1,91 @@
+"use strict";
+
+const fs = require('fs');
+
+// Types of consensus events.
+const ROUND_STARTED = "ROUND_STARTED";
+const PROPOSER_CHOSEN = "PROPOSER_CHOSEN";
+const PROPOSAL_SENT = "PROPOSAL_SENT";
+const PROPOSAL_RECEIVED = "PROPOSAL_RECEIVED";
+const VOTE_CAST = "VOTE_CAST";
+const VOTE_COUNTED = "VOTE_COUNTED";
+const VOTES_TALLIED = "VOTES_TALLIED";
+const LOCKED = "LOCKED";
+const UNLOCKED = "UNLOCKED";
+const COMMITTED = "COMMITTED";
+const EVIDENCE_POSTED = "EVIDENCE_POSTED";
+const SLASHED = "SLASHED";
+
+/**
+ * A structured log of consensus events, shared by the validators in a run.
+ * Every event has a type, the (virtual) time, the name and address of the
+ * validator that recorded it, and the validator's height and round at the
+ * time, along with details for the type of event:
+ *
+ * - ROUND_STARTED: lockedBlockID, lockedRound (of any lock held going into the round)
+ * - PROPOSER_CHOSEN: proposer
+ * - PROPOSAL_SENT, PROPOSAL_RECEIVED: from, blockID, msgHeight, msgRound
+ * - VOTE_CAST, VOTE_COUNTED: voteID, voteType, from, blockID, msgHeight, msgRound
+ * - VOTES_TALLIED: voteType, votes (voter address -> blockID), power
+ *   (blockID -> voting power), totalPower, winner (the block with more
+ *   than 2/3 of the power, if any)
+ * - LOCKED: blockID, lockedRound
+ * - UNLOCKED: blockID, lockedRound (of the lock that was released)
+ * - COMMITTED: blockID, blockHeight
+ * - EVIDENCE_POSTED: cheater, evidenceType, txID
+ * - SLASHED: cheater, blockID, stakeBefore, stakeAfter
+ *
+ * Events are kept in memory, and are also written to a file as JSON lines
+ * if one is specified.
+ */
+module.exports = class EventLog {
+
+  static get ROUND_STARTED() { return ROUND_STARTED; }
+  static get PROPOSER_CHOSEN() { return PROPOSER_CHOSEN; }
+  static get PROPOSAL_SENT() { return PROPOSAL_SENT; }
+  static get PROPOSAL_RECEIVED() { return PROPOSAL_RECEIVED; }
+  static get VOTE_CAST() { return VOTE_CAST; }
+  static get VOTE_COUNTED() { return VOTE_COUNTED; }
+  static get VOTES_TALLIED() { return VOTES_TALLIED; }
+  static get LOCKED() { return LOCKED; }
+  static get UNLOCKED() { return UNLOCKED; }
+  static get COMMITTED() { return COMMITTED; }
+  static get EVIDENCE_POSTED() { return EVIDENCE_POSTED; }
+  static get SLASHED() { return SLASHED; }
+
+  /**
+   * Reads the events from a file written by an event log.
+   *
+   * @param {String} fileName - Path of the file.
+   *
+   * @returns {Array} - The events, in the order that they were recorded.
+   */
+  static readFile(fileName) {
+    return fs.readFileSync(fileName, 'utf8').split("\n")
+      .filter((line) => line.trim() !== "")
+      .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * @param {String} [fileName] - Path of a file for the events.  Any existing
+   *    file is replaced.
+   */
+  constructor(fileName) {
+    this.fileName = fileName;
+    this.events = [];
+    if (fileName !== undefined) fs.writeFileSync(fileName, "");
+  }
+
+  /**
+   * Records an event.
+   *
+   * @param {Object} event - The event, including its type and time.
+   */
+  record(event) {
+    this.events.push(event);
+    if (this.fileName !== undefined) {
+      fs.appendFileSync(this.fileName, JSON.stringify(event) + "\n");
+    }
+  }
+
+};
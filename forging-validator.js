@@ -0,0 +1,31 @@
+"use strict";
+
+const StakeBlockchain = require('./stake-blockchain.js');
+const Validator = require('./validator.js');
+const Vote = require('./vote.js');
+
+/**
+ * This class votes normally, but every time it votes, it also sends a
+ * conflicting vote in the name of each of the other validators.  Since it
+ * does not have their keys, the forged votes have invalid signatures.
+ * If the other validators accepted them, they would report the innocent
+ * validators for double voting.
+ */
+module.exports = class ForgingValidator extends Validator {
+
+  broadcastSigned(msgType, message) {
+    message = super.broadcastSigned(msgType, message);
+    if (!(message instanceof Vote)) return message;
+
+    this.currentBlock.validators.forEach((_, addr) => {
+      if (addr === this.address) return;
+      let forgery = new Vote(message);
+      forgery.from = addr;
+      forgery.blockID = message.blockID === StakeBlockchain.NIL ? this.lastBlock.id : StakeBlockchain.NIL;
+      forgery.sign(this.keyPair.private);
+      this.net.broadcast(msgType, forgery);
+    });
+    return message;
+  }
+
+};
@@ -0,0 +1,305 @@
+"use strict";
+
+const { utils } = require('spartan-gold');
+
+const StakeBlockchain = require('./stake-blockchain.js');
+
+// Messages used by the gossip protocol.
+const GOSSIP = "GOSSIP";
+const PEER_REQUEST = "PEER_REQUEST";
+const PEER_RESPONSE = "PEER_RESPONSE";
+
+// Default number of peers that a node looks for.  A node accepts
+// connections from other nodes until it has twice as many peers.
+const MAX_PEERS = 8;
+
+// Default time (in milliseconds) between requests for new peers.
+const PEER_EXCHANGE_INTERVAL = 1000;
+
+// Number of message IDs remembered, to avoid forwarding a message twice.
+const SEEN_CACHE_SIZE = 20000;
+
+/**
+ * A gossip layer on top of another network (such as UnreliableNet or TcpNet),
+ * so that nodes do not need to send every message to every other node.
+ *
+ * Unlike the other networks, each node has its own GossipNet, sharing the
+ * underlying network (the transport) with the other nodes.  A node keeps a
+ * limited set of peers.  When it broadcasts a message, the message is sent
+ * to its peers, who pass it on to their peers, and so on.  Every node
+ * remembers the messages that it has seen, so that each message is
+ * delivered and forwarded only once.
+ *
+ * Messages are identified by a hash of their full contents, including any
+ * signature.  (Vote and proposal IDs do not include the signature, so
+ * otherwise a copy of a vote with a bad signature could crowd out the
+ * real vote.)
+ *
+ * Nodes periodically ask a random peer for its peers, so that a node that
+ * starts out knowing only a few other nodes can find more of them.
+ * Peer requests are signed, and the node receiving one adds the requester
+ * as a peer, so requests also let other nodes know about us.
+ *
+ * Messages sent with sendMessage go directly through the transport.
+ */
+module.exports = class GossipNet {
+
+  static get GOSSIP() { return GOSSIP; }
+  static get PEER_REQUEST() { return PEER_REQUEST; }
+  static get PEER_RESPONSE() { return PEER_RESPONSE; }
+
+  /**
+   * Identifies a message by hashing its type and contents.
+   */
+  static messageHash(msgType, o) {
+    return utils.hash(msgType + JSON.stringify(o));
+  }
+
+  /**
+   * @param {FakeNet} transport - The network used to reach other nodes.
+   * @param {Object} [opts] - Gossip settings.
+   * @param {number} [opts.maxPeers] - Number of peers that this node looks for.
+   * @param {number} [opts.peerExchangeInterval] - Time between requests for new peers.
+   */
+  constructor(transport, { maxPeers=MAX_PEERS, peerExchangeInterval=PEER_EXCHANGE_INTERVAL } = {}) {
+    this.transport = transport;
+    this.maxPeers = maxPeers;
+    this.peerExchangeInterval = peerExchangeInterval;
+
+    // Peers that messages are forwarded to:  address -> { address, connection }
+    this.peers = new Map();
+
+    // Hashes of messages already delivered, oldest first.
+    this.seen = new Set();
+  }
+
+  /**
+   * Starts gossiping on behalf of a node.
+   *
+   * @param {Client} owner - The node that uses this network.
+   * @param {Array} [seeds] - Peers to begin with, as { address, connection } objects.
+   */
+  start(owner, seeds=[]) {
+    this.owner = owner;
+
+    owner.on(GOSSIP, (o) => this.receiveGossip(o));
+    owner.on(PEER_REQUEST, (o) => this.providePeers(o));
+    owner.on(PEER_RESPONSE, (o) => this.receivePeers(o));
+
+    // A transport that makes real connections (TcpNet) tells us about each
+    // new connection, since we only learn the peer's address after connecting.
+    if (typeof this.transport.start === 'function') {
+      this.transport.start(owner, (peer) => this.addPeer(peer, true));
+    }
+
+    seeds.forEach((peer) => this.addPeer(peer));
+
+    let clock = StakeBlockchain.clock;
+    this.peerExchangeTimer = clock.setInterval(() => this.requestPeers(), this.peerExchangeInterval);
+    if (this.peerExchangeTimer.unref) this.peerExchangeTimer.unref();
+  }
+
+  /**
+   * Stops looking for new peers.
+   */
+  stop() {
+    StakeBlockchain.clock.clearInterval(this.peerExchangeTimer);
+    if (typeof this.transport.close === 'function') this.transport.close();
+  }
+
+  /**
+   * Registers clients with the transport.
+   *
+   * @param {...Object} clientList - clients to be registered to this network (may be Client or Miner)
+   */
+  register(...clientList) {
+    this.transport.register(...clientList);
+  }
+
+  /**
+   * Tests whether a client is registered with the transport.
+   */
+  recognizes(client) {
+    return this.transport.recognizes(client);
+  }
+
+  /**
+   * Opens a connection to another node, if the transport supports it.
+   *
+   * @param {Object} connection - Connection details for the other node.
+   */
+  connect(connection) {
+    if (typeof this.transport.connect === 'function') {
+      this.transport.connect(connection);
+    }
+  }
+
+  /**
+   * Adds a peer, unless we already have enough peers.  We look for up to
+   * maxPeers peers, but accept up to twice as many peers that contact us,
+   * so that new nodes can still join the network.
+   *
+   * @param {Object} peer - The peer's address, and possibly its connection details.
+   * @param {boolean} [inbound] - True if the peer contacted us.
+   *
+   * @returns {boolean} - True if the node is (now) a peer.
+   */
+  addPeer({ address, connection }, inbound=false) {
+    if (address === undefined || address === this.owner.address) return false;
+    if (this.peers.has(address)) return true;
+
+    let limit = inbound ? 2 * this.maxPeers : this.maxPeers;
+    if (this.peers.size >= limit) return false;
+
+    this.peers.set(address, { address, connection });
+    if (!this.transport.recognizes({ address })) {
+      if (connection !== undefined) this.connect(connection);
+    } else if (!inbound) {
+      // Asking a new peer for its peers also lets it know about us.
+      this.transport.sendMessage(address, PEER_REQUEST, this.makePeerRequest(address));
+    }
+    return true;
+  }
+
+  /**
+   * Sends message msg and payload o directly to the specified address.
+   *
+   * @param {String} address - the public key address of the client or miner to which to send the message
+   * @param {String} msg - the name of the event being broadcasted (e.g. "PROOF_FOUND")
+   * @param {Object} o - payload of the message
+   */
+  sendMessage(address, msg, o) {
+    this.transport.sendMessage(address, msg, o, this.owner.address);
+  }
+
+  /**
+   * Delivers a message to this node and sends it on to its peers.
+   *
+   * @param {String} msg - the name of the event being broadcasted (e.g. "PROOF_FOUND")
+   * @param {Object} o - payload of the message
+   */
+  broadcast(msg, o) {
+    // Serializing the object first, as the other networks do.
+    o = JSON.parse(JSON.stringify(o));
+    this.markSeen(GossipNet.messageHash(msg, o));
+    this.transport.sendMessage(this.owner.address, msg, o);
+    this.forward(msg, o);
+  }
+
+  /**
+   * Handles a message from a peer, delivering and forwarding it
+   * if we have not already seen it.
+   *
+   * The sender in the envelope is not authenticated, so it is only used to
+   * avoid sending the message straight back, and never to add a peer.
+   * (Nodes that want to be our peers send a signed peer request instead.)
+   *
+   * @param {Object} envelope - The sender, message type, and payload.
+   */
+  receiveGossip({ from, msgType, o }) {
+    if (typeof msgType !== 'string' || typeof o !== 'object' || o === null) return;
+
+    let hash = GossipNet.messageHash(msgType, o);
+    if (this.seen.has(hash)) return;
+    this.markSeen(hash);
+
+    this.owner.emit(msgType, o);
+    this.forward(msgType, o, from);
+  }
+
+  /**
+   * Sends a message to all peers, except for the peer that sent it to us.
+   */
+  forward(msgType, o, except) {
+    let envelope = { from: this.owner.address, msgType, o };
+    this.peers.forEach((_, address) => {
+      if (address !== except) this.transport.sendMessage(address, GOSSIP, envelope);
+    });
+  }
+
+  /**
+   * Remembers that a message has been seen, forgetting
+   * the oldest message if the cache is full.
+   */
+  markSeen(hash) {
+    this.seen.add(hash);
+    if (this.seen.size > SEEN_CACHE_SIZE) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+  }
+
+  /**
+   * Asks a random peer for its list of peers.
+   */
+  requestPeers() {
+    let addresses = Array.from(this.peers.keys());
+    if (addresses.length === 0 || this.peers.size >= this.maxPeers) return;
+    let address = addresses[Math.floor(StakeBlockchain.clock.random() * addresses.length)];
+    this.transport.sendMessage(address, PEER_REQUEST, this.makePeerRequest(address));
+  }
+
+  /**
+   * Creates a request for another node's peers, signed so that the other
+   * node can add us as a peer.  The request names the node it is for,
+   * so that it cannot be replayed to other nodes.
+   *
+   * @param {String} to - Address of the node asked for its peers.
+   *
+   * @returns {Object} - The signed request.
+   */
+  makePeerRequest(to) {
+    let from = this.owner.address;
+    return {
+      from,
+      to,
+      pubKey: this.owner.keyPair.public,
+      sig: utils.sign(this.owner.keyPair.private, `${PEER_REQUEST}-${from}-${to}`),
+    };
+  }
+
+  /**
+   * Checks that a peer request is for this node, and that it was signed
+   * by the node that it claims to be from.
+   *
+   * @param {Object} request - The sender, recipient, public key, and signature.
+   *
+   * @returns {boolean} - True if the sender proved that it owns its address.
+   */
+  isValidPeerRequest({ from, to, pubKey, sig }) {
+    if (typeof from !== 'string' || typeof pubKey !== 'string' || typeof sig !== 'string') return false;
+    if (to !== this.owner.address) return false;
+    if (!utils.addressMatchesKey(from, pubKey)) return false;
+    try {
+      return utils.verifySignature(pubKey, `${PEER_REQUEST}-${from}-${to}`, sig);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Shares our peers with a node that asked for them, and adds that node
+   * as a peer.  Requests that are not correctly signed are ignored, so
+   * that a forged request cannot make us add a peer or send our peers
+   * to someone else.
+   */
+  providePeers(request) {
+    if (!this.isValidPeerRequest(request)) return;
+    let from = request.from;
+    this.addPeer({ address: from }, true);
+    this.transport.sendMessage(from, PEER_RESPONSE, {
+      from: this.owner.address,
+      peers: Array.from(this.peers.values()),
+    });
+  }
+
+  /**
+   * Adds any new peers from another node's list of peers.
+   */
+  receivePeers({ peers }) {
+    if (!Array.isArray(peers)) return;
+    peers.forEach((peer) => {
+      if (peer && typeof peer.address === 'string') this.addPeer(peer);
+    });
+  }
+
+};
@@ -0,0 +1,48 @@
+"use strict";
+
+// Shows the state of every consensus round from a run's event log
+// (written with driver.js --events), to find out why heights took
+// several rounds.  With --html, a self-contained HTML timeline is also
+// written.  The heights shown can be limited to one height, or to
+// heights that took at least some number of rounds.
+//
+// Usage: node inspect-rounds.js <events file> [--html <file>] [--height <n>] [--min-rounds <n>]
+
+const fs = require('fs');
+
+const EventLog = require('./event-log.js');
+const RoundInspector = require('./round-inspector.js');
+
+let args = process.argv.slice(2);
+
+// Takes out an option and its value, if it was given.
+function option(name) {
+  let i = args.indexOf(name);
+  if (i === -1) return undefined;
+  let value = args[i + 1];
+  args.splice(i, 2);
+  return value;
+}
+
+let htmlFile = option('--html');
+let height = option('--height');
+let minRounds = option('--min-rounds');
+let [eventFile] = args;
+
+if (eventFile === undefined) {
+  console.log(`Usage: node inspect-rounds.js <events file> [--html <file>] [--height <n>] [--min-rounds <n>]`);
+  process.exit(1);
+}
+
+let inspector = new RoundInspector(EventLog.readFile(eventFile));
+let opts = {
+  height: height === undefined ? undefined : parseInt(height),
+  minRounds: minRounds === undefined ? undefined : parseInt(minRounds),
+};
+
+console.log(inspector.textReport(opts));
+
+if (htmlFile !== undefined) {
+  fs.writeFileSync(htmlFile, inspector.htmlReport(opts));
+  console.log(`Wrote timeline to ${htmlFile}.`);
+}
@@ -0,0 +1,217 @@
+"use strict";
+
+const StakeBlock = require('./stake-block.js');
+const StakeBlockchain = require('./stake-blockchain.js');
+
+// Default number of transactions that a validator holds before
+// turning away (or evicting) low-fee transactions.
+const MAX_SIZE = 5000;
+
+/**
+ * Holds the transactions that a validator has received, but that have not
+ * been committed yet.
+ *
+ * Transactions are checked when they arrive against the last committed
+ * block, and are kept by sender in nonce order.  A proposer fills its block
+ * with the highest-fee transactions that are ready, up to the block size
+ * limits.  Transactions are only removed once a committed block includes
+ * them (or makes them invalid), so that transactions that did not fit in
+ * one block, or that were in a block that was never committed, are still
+ * available for the next block.
+ */
+module.exports = class Mempool {
+
+  /**
+   * @param {Object} [obj] - Settings for the mempool.
+   * @param {number} [obj.maxSize] - Maximum number of transactions held.
+   */
+  constructor({maxSize=MAX_SIZE} = {}) {
+    this.maxSize = maxSize;
+
+    // All pending transactions:  txID -> tx
+    this.txs = new Map();
+
+    // Pending transactions for each sender, sorted by nonce:  address -> Array of tx
+    this.bySender = new Map();
+  }
+
+  /**
+   * Number of transactions in the mempool.
+   */
+  get size() {
+    return this.txs.size;
+  }
+
+  /**
+   * Returns the pending transactions, in no particular order.
+   */
+  values() {
+    return this.txs.values();
+  }
+
+  /**
+   * Checks a new transaction and adds it to the mempool.
+   *
+   * The transaction must be signed, must not reuse a nonce already committed
+   * in the block, and the sender must have enough unlocked gold to pay for it.
+   * A transaction with the same sender and nonce as a pending transaction
+   * replaces it only if it offers a higher fee.  If the mempool is full,
+   * the transaction with the lowest fee (among the last pending transaction
+   * of each other sender) is evicted to make room, if the new transaction
+   * offers a higher fee.
+   *
+   * @param {Transaction} tx - The transaction.
+   * @param {StakeBlock} block - The last committed block.
+   * @param {StakeClient} [client] - Used for printing debug messages.
+   *
+   * @returns {boolean} - True if the transaction was added.
+   */
+  add(tx, block, client) {
+    let log = (msg) => { if (client) client.log(msg); };
+
+    if (this.txs.has(tx.id)) {
+      return false;
+    } else if (tx.sig === undefined || !tx.validSignature()) {
+      log(`Invalid signature for transaction ${tx.id}.`);
+      return false;
+    } else if (tx.nonce < (block.nextNonce.get(tx.from) || 0)) {
+      log(`Replayed transaction ${tx.id}.`);
+      return false;
+    } else if (!Number.isInteger(tx.fee) || tx.fee < 0) {
+      log(`Invalid fee for transaction ${tx.id}.`);
+      return false;
+    }
+
+    let cost = tx.totalOutput();
+    if (tx.data !== undefined && tx.data.type === StakeBlock.TX_TYPE_STAKE) {
+      cost += tx.data.amountStaked;
+    }
+    if (cost > block.spendableBalanceOf(tx.from)) {
+      log(`Insufficient gold for transaction ${tx.id}.`);
+      return false;
+    }
+
+    let queue = this.bySender.get(tx.from) || [];
+    let existing = queue.find((pending) => pending.nonce === tx.nonce);
+    if (existing !== undefined) {
+      if (tx.fee <= existing.fee) {
+        log(`Transaction ${tx.id} does not pay more than pending transaction ${existing.id}.`);
+        return false;
+      }
+      this.remove(existing);
+    } else if (this.txs.size >= this.maxSize) {
+      let lowest = this.lowestFeeTail(tx.from);
+      if (lowest === undefined || tx.fee <= lowest.fee) {
+        log(`Mempool is full; turning away transaction ${tx.id}.`);
+        return false;
+      }
+      this.remove(lowest);
+    }
+
+    queue = (this.bySender.get(tx.from) || []).concat(tx);
+    queue.sort((a, b) => a.nonce - b.nonce);
+    this.bySender.set(tx.from, queue);
+    this.txs.set(tx.id, tx);
+    return true;
+  }
+
+  /**
+   * Removes a transaction from the mempool.
+   *
+   * @param {Transaction} tx - The transaction to remove.
+   */
+  remove(tx) {
+    if (!this.txs.delete(tx.id)) return;
+    let queue = this.bySender.get(tx.from).filter((pending) => pending.id !== tx.id);
+    if (queue.length > 0) {
+      this.bySender.set(tx.from, queue);
+    } else {
+      this.bySender.delete(tx.from);
+    }
+  }
+
+  /**
+   * Removes every transaction that the committed block has included,
+   * as well as any other transactions whose nonces it has used up.
+   *
+   * @param {StakeBlock} block - The latest committed block.
+   */
+  removeCommitted(block) {
+    this.bySender.forEach((queue, addr) => {
+      let nextNonce = block.nextNonce.get(addr) || 0;
+      queue.forEach((tx) => {
+        if (tx.nonce < nextNonce) this.remove(tx);
+      });
+    });
+  }
+
+  /**
+   * Adds pending transactions to a proposed block.  Transactions are added
+   * in order of their fees, but each sender's transactions are added in
+   * nonce order.  Once the block reaches MAX_BLOCK_TXS, or a transaction
+   * would take it over MAX_BLOCK_BYTES, the remaining transactions are left
+   * for a later block.  Transactions that the block refuses are dropped.
+   *
+   * @param {StakeBlock} block - The proposed block.
+   * @param {StakeClient} [client] - Used for printing debug messages.
+   *
+   * @returns {number} - The number of transactions added.
+   */
+  fillBlock(block, client) {
+    let queues = new Map();
+    this.bySender.forEach((queue, addr) => queues.set(addr, queue.slice()));
+
+    let count = 0;
+    let bytes = 0;
+    while (count < StakeBlockchain.MAX_BLOCK_TXS) {
+      // Picking the ready transaction with the highest fee.
+      let tx = undefined;
+      queues.forEach(([head]) => {
+        if (tx === undefined || head.fee > tx.fee) tx = head;
+      });
+      if (tx === undefined) break;
+
+      let queue = queues.get(tx.from);
+      let nextNonce = block.nextNonce.get(tx.from) || 0;
+      let size = StakeBlock.transactionSize(tx);
+
+      if (tx.nonce > nextNonce || bytes + size > StakeBlockchain.MAX_BLOCK_BYTES) {
+        // Waiting on an earlier transaction, or too large for this block.
+        queues.delete(tx.from);
+        continue;
+      }
+
+      queue.shift();
+      if (queue.length === 0) queues.delete(tx.from);
+
+      if (tx.nonce < nextNonce || !block.addTransaction(tx, client)) {
+        this.remove(tx);
+        continue;
+      }
+
+      count++;
+      bytes += size;
+    }
+
+    return count;
+  }
+
+  /**
+   * Returns the transaction with the lowest fee among the last pending
+   * transaction of each sender.  (Evicting one of these does not leave
+   * a gap in the sender's nonces.)  The new transaction's sender is
+   * skipped, since its new transaction would then follow a gap.
+   *
+   * @param {String} exceptAddr - Address of the sender to skip.
+   */
+  lowestFeeTail(exceptAddr) {
+    let lowest = undefined;
+    this.bySender.forEach((queue, addr) => {
+      if (addr === exceptAddr) return;
+      let tail = queue[queue.length - 1];
+      if (lowest === undefined || tail.fee < lowest.fee) lowest = tail;
+    });
+    return lowest;
+  }
+
+};
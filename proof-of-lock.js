@@ -0,0 +1,119 @@
+"use strict";
+
+const StakeBlockchain = require('./stake-blockchain.js');
+const Vote = require('./vote.js');
+
+/**
+ * According to Tendermint v. 0.6, a proof-of-lock (POL) is the set of
+ * signed prevotes from more than 2/3 of the validators for a block
+ * (or for NIL) in some round.  A validator that is locked on to a block
+ * may release its lock when it sees a POL from a later round.
+ *
+ * Commits are counted as prevotes for all subsequent rounds, so they
+ * may also be included in a POL.
+ */
+module.exports = class ProofOfLock {
+
+  /**
+   * Gathers up the prevotes for the specified block (or NIL) from the
+   * validator's ballot box for its current height and round.
+   *
+   * @param {Validator} validator - The validator that collected the votes.
+   * @param {Object} ballotBox - The collection of prevotes.
+   * @param {String} blockID - ID of the winning block, or NIL.
+   *
+   * @returns {ProofOfLock} - The proof-of-lock.
+   */
+  static makeProofOfLock(validator, ballotBox, blockID) {
+    let votes = [];
+    Object.keys(ballotBox).forEach((voterAddr) => {
+      let vote = ballotBox[voterAddr];
+      if (vote.height !== validator.height || vote.blockID !== blockID) {
+        return;
+      }
+      if (vote.round === validator.round ||
+          (vote.round < validator.round && vote.type === StakeBlockchain.COMMIT)) {
+        votes.push(vote);
+      }
+    });
+
+    return new ProofOfLock({
+      height: validator.height,
+      round: validator.round,
+      blockID: blockID,
+      votes: votes,
+    });
+  }
+
+  constructor({ height, round, blockID, votes }) {
+    this.height = height;
+    this.round = round;
+    this.blockID = blockID;
+    this.votes = votes.map((v) => new Vote(v));
+  }
+
+  /**
+   * Returns true if this POL is for NIL, rather than for a block.
+   */
+  isNil() {
+    return this.blockID === StakeBlockchain.NIL;
+  }
+
+  /**
+   * Verifies that every vote in the POL is a correctly signed prevote
+   * (or commit) for the same block, height, and round, and that the voters
+   * together hold more than 2/3 of the stake.
+   *
+   * @param {Validator} validator - Used for logging and for the current validator set.
+   *
+   * @returns {boolean} - Validity of the proof-of-lock.
+   */
+  isValid(validator) {
+    if (validator.height !== this.height) {
+      validator.log(`Out of height: POL is for height ${this.height}, but should be for ${validator.height}`);
+      return false;
+    }
+
+    let voters = new Set();
+    let votesForBlock = 0;
+
+    for (let vote of this.votes) {
+      if (vote.height !== this.height || vote.blockID !== this.blockID) {
+        validator.log(`Vote ${vote.id} does not match POL for ${this.blockID} (${this.height}-${this.round}).`);
+        return false;
+      }
+
+      // Commits from earlier rounds count as prevotes for later rounds.
+      if (vote.type === StakeBlockchain.PREVOTE) {
+        if (vote.round !== this.round) return false;
+      } else if (vote.type === StakeBlockchain.COMMIT) {
+        if (vote.round > this.round) return false;
+      } else {
+        validator.log(`Unexpected ${vote.type} vote ${vote.id} in POL.`);
+        return false;
+      }
+
+      if (voters.has(vote.from)) {
+        validator.log(`Duplicate vote from ${vote.from} in POL.`);
+        return false;
+      }
+
+      if (!vote.hasValidSignature()) {
+        validator.log(`Invalid signature for vote ${vote.id} in POL.`);
+        return false;
+      }
+
+      voters.add(vote.from);
+      votesForBlock += validator.currentBlock.votingPowerOf(vote.from);
+    }
+
+    let totalStake = validator.currentBlock.totalPower;
+    if (votesForBlock <= 2 * totalStake / 3) {
+      validator.log(`POL for ${this.blockID} has only ${votesForBlock} of ${totalStake} votes.`);
+      return false;
+    }
+
+    return true;
+  }
+
+};
@@ -2,19 +2,21 @@
 
 const { utils } = require('spartan-gold');
 
+const ProofOfLock = require('./proof-of-lock.js');
+
 /**
  * According to Tendermint 0.6, a proposal consists of:
  * 1) height
  * 2) round
  * 3) block
- * 4) proof-of-lock
+ * 4) proof-of-lock (see proof-of-lock.js)
  * 5) signature
  * 
  * We add some additional fields for our convenience.
  */
 module.exports = class Proposal{
 
-  constructor({from, pubKey, block, blockID, height, round, sig}) {
+  constructor({from, pubKey, block, blockID, height, round, pol, sig}) {
     this.from = from;
     this.block = block;
     this.height = height;
@@ -22,6 +24,12 @@ module.exports = class Proposal{
     this.pubKey = pubKey;
     this.sig = sig;
 
+    // The proof-of-lock is only included if the proposer has seen
+    // 2/3 prevotes for a block (or for NIL) in an earlier round.
+    if (pol !== undefined) {
+      this.pol = new ProofOfLock(pol);
+    }
+
     // The block ID is taken from the block if it is not specified.
     // This design avoids having to reconstitute the block just to
     // extract the ID.
@@ -37,6 +45,7 @@ module.exports = class Proposal{
       block: this.block,
       height: this.height,
       round: this.round,
+      pol: this.pol,
       pubKey: this.pubKey,
     };
 
@@ -68,7 +77,9 @@ module.exports = class Proposal{
 
   /**
    * Verifies that the proposal is correctly signed, is from the correct proposer,
-   * and is for the right height and round.
+   * and is for the right height and round.  If the proposal includes a
+   * proof-of-lock, it must be from an earlier round of the same height,
+   * and a POL for a block must be for the proposed block.
    * 
    * @param {Validator} validator - Used for logging and track proposer/height/round information.
    * 
@@ -87,6 +98,17 @@ module.exports = class Proposal{
     } else if (!this.hasValidSignature()) {
       validator.log(`Invalid signature for proposal ${this.id}.`);
       return false;
+    } else if (this.pol !== undefined) {
+      if (this.pol.round >= this.round) {
+        validator.log(`POL for round ${this.pol.round} is not from before round ${this.round}.`);
+        return false;
+      } else if (!this.pol.isNil() && this.pol.blockID !== this.blockID) {
+        validator.log(`POL is for block ${this.pol.blockID}, but proposal is for ${this.blockID}.`);
+        return false;
+      } else if (!this.pol.isValid(validator)) {
+        validator.log(`Invalid POL for proposal ${this.id}.`);
+        return false;
+      }
     }
     return true;
 
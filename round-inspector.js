@@ -0,0 +1,382 @@
+"use strict";
+
+const EventLog = require('./event-log.js');
+const StakeBlockchain = require('./stake-blockchain.js');
+
+// The types of votes, in the order they are cast in a round.
+const VOTE_TYPES = [StakeBlockchain.PREVOTE, StakeBlockchain.PRECOMMIT, StakeBlockchain.COMMIT];
+
+/**
+ * Shortens a block ID (or address) for display.
+ */
+function shortID(id) {
+  if (id === undefined) return "?";
+  if (id === StakeBlockchain.NIL) return "nil";
+  return id.slice(0, 8);
+}
+
+function escapeHTML(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Picks a background color for a block, so that the same block has
+ * the same color everywhere in the HTML report.
+ */
+function colorOf(blockID) {
+  if (blockID === StakeBlockchain.NIL) return "#ddd";
+  let hash = 0;
+  for (let i = 0; i < blockID.length; i++) hash = (hash * 31 + blockID.charCodeAt(i)) % 360;
+  return `hsl(${hash}, 70%, 80%)`;
+}
+
+/**
+ * Rebuilds the state of each consensus round from the structured events of
+ * a run (see event-log.js), to show why a height took as many rounds as it
+ * did.  For each height and round, the inspector shows who was chosen to
+ * propose, the blocks that were proposed, every validator's prevotes,
+ * precommits, and commits, whether each validator saw more than 2/3 of the
+ * voting power agree, and the locks that validators held.
+ *
+ * Votes are shown under the validator that signed them, whether that
+ * validator recorded casting them or another validator recorded counting
+ * them.  (A Byzantine validator's extra votes are only seen by others.)
+ */
+module.exports = class RoundInspector {
+
+  /**
+   * @param {Array} events - The events of a run, in the order they were recorded.
+   */
+  constructor(events) {
+    // Names of the validators:  address -> name
+    this.names = new Map();
+    events.forEach(({ address, validator }) => {
+      if (address !== undefined && validator !== undefined) this.names.set(address, validator);
+    });
+
+    // height -> { height, committed, commitTimes: name -> time, rounds: round -> state of the round }
+    this.heights = new Map();
+    events.forEach((event) => this.addEvent(event));
+  }
+
+  /**
+   * Returns the validator's name, or a shortened address for a validator
+   * that did not record any events.
+   */
+  nameOf(addr) {
+    return this.names.get(addr) || shortID(addr);
+  }
+
+  heightFor(height) {
+    if (!this.heights.has(height)) {
+      this.heights.set(height, { height: height, committed: undefined, commitTimes: new Map(), rounds: new Map() });
+    }
+    return this.heights.get(height);
+  }
+
+  roundFor(height, round) {
+    let rounds = this.heightFor(height).rounds;
+    if (!rounds.has(round)) {
+      rounds.set(round, {
+        round: round,
+        start: undefined,
+        // name -> number of validators that chose them
+        proposers: new Map(),
+        // blockID -> Set of names of proposers
+        proposals: new Map(),
+        // name -> the validator's view of the round
+        validators: new Map(),
+      });
+    }
+    return rounds.get(round);
+  }
+
+  validatorFor(round, name) {
+    if (!round.validators.has(name)) {
+      let votes = {};
+      VOTE_TYPES.forEach((type) => votes[type] = []);
+      round.validators.set(name, { started: undefined, lockAtStart: undefined, votes: votes, tallies: {} });
+    }
+    return round.validators.get(name);
+  }
+
+  /**
+   * Adds the details of an event to the state of its round.
+   */
+  addEvent(event) {
+    switch (event.type) {
+      case EventLog.ROUND_STARTED: {
+        let round = this.roundFor(event.height, event.round);
+        if (round.start === undefined || event.time < round.start) round.start = event.time;
+        let v = this.validatorFor(round, event.validator);
+        v.started = event.time;
+        if (event.lockedRound !== undefined) {
+          v.lockAtStart = { blockID: event.lockedBlockID, round: event.lockedRound };
+        }
+        break;
+      }
+      case EventLog.PROPOSER_CHOSEN: {
+        let proposers = this.roundFor(event.height, event.round).proposers;
+        let name = this.nameOf(event.proposer);
+        proposers.set(name, (proposers.get(name) || 0) + 1);
+        break;
+      }
+      case EventLog.PROPOSAL_SENT:
+      case EventLog.PROPOSAL_RECEIVED: {
+        let proposals = this.roundFor(event.msgHeight, event.msgRound).proposals;
+        if (!proposals.has(event.blockID)) proposals.set(event.blockID, new Set());
+        proposals.get(event.blockID).add(this.nameOf(event.from));
+        break;
+      }
+      case EventLog.VOTE_CAST:
+      case EventLog.VOTE_COUNTED: {
+        let round = this.roundFor(event.msgHeight, event.msgRound);
+        let votes = this.validatorFor(round, this.nameOf(event.from)).votes[event.voteType];
+        if (votes !== undefined && !votes.includes(event.blockID)) votes.push(event.blockID);
+        break;
+      }
+      case EventLog.VOTES_TALLIED: {
+        let v = this.validatorFor(this.roundFor(event.height, event.round), event.validator);
+        v.tallies[event.voteType] = { winner: event.winner, power: event.power, totalPower: event.totalPower };
+        break;
+      }
+      case EventLog.LOCKED:
+        this.validatorFor(this.roundFor(event.height, event.round), event.validator).locked = event.blockID;
+        break;
+      case EventLog.UNLOCKED:
+        this.validatorFor(this.roundFor(event.height, event.round), event.validator).unlocked = true;
+        break;
+      case EventLog.COMMITTED: {
+        let h = this.heightFor(event.blockHeight);
+        if (!h.commitTimes.has(event.validator)) h.commitTimes.set(event.validator, event.time);
+        if (h.committed === undefined || event.time < h.committed.time) {
+          h.committed = { blockID: event.blockID, time: event.time, by: event.validator };
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Returns the heights to report on, in order.
+   *
+   * @param {Object} [opts] - Filters for the heights.
+   * @param {number} [opts.height] - Only this height.
+   * @param {number} [opts.minRounds] - Only heights that took at least this many rounds.
+   */
+  selectHeights({ height, minRounds=0 } = {}) {
+    return Array.from(this.heights.values())
+      .filter((h) => height === undefined || h.height === height)
+      .filter((h) => h.rounds.size >= minRounds)
+      .sort((a, b) => a.height - b.height);
+  }
+
+  /**
+   * Summarizes what a validator saw when it tallied one type of vote:
+   * the winning block, "none" if no block had more than 2/3 of the power,
+   * or an empty string if the validator never tallied those votes.
+   */
+  static tallyText(tally) {
+    if (tally === undefined) return "";
+    if (tally.winner !== undefined) return shortID(tally.winner);
+    let best = Math.max(0, ...Object.values(tally.power));
+    return `none (${Math.round(100 * best / tally.totalPower)}%)`;
+  }
+
+  /**
+   * Describes the validator's lock at the start of the round, and any
+   * change to it during the round.
+   */
+  static lockText(v) {
+    let parts = [];
+    if (v.lockAtStart !== undefined) parts.push(`${shortID(v.lockAtStart.blockID)}@r${v.lockAtStart.round}`);
+    if (v.unlocked) parts.push("released");
+    if (v.locked !== undefined) parts.push(`-> ${shortID(v.locked)}`);
+    return parts.join(" ") || "-";
+  }
+
+  static proposerText(round) {
+    let names = Array.from(round.proposers.keys());
+    return names.length === 0 ? "unknown" : names.join("/");
+  }
+
+  /**
+   * Returns the rows for a round's table:  a header row, then a row for
+   * each validator.
+   */
+  roundRows(round) {
+    let rows = [["Validator", "Lock", "Prevote", "2/3 prevotes", "Precommit", "2/3 precommits", "Commit", "2/3 commits"]];
+    Array.from(round.validators.keys()).sort().forEach((name) => {
+      let v = round.validators.get(name);
+      let row = [name, RoundInspector.lockText(v)];
+      VOTE_TYPES.forEach((type) => {
+        row.push(v.votes[type].map(shortID).join(", ") || "-");
+        row.push(RoundInspector.tallyText(v.tallies[type]));
+      });
+      rows.push(row);
+    });
+    return rows;
+  }
+
+  /**
+   * Describes a height:  the block that was committed, when, and how many rounds it took.
+   */
+  static heightTitle(h) {
+    let committed = h.committed === undefined ? "not committed" :
+        `committed block ${shortID(h.committed.blockID)} at ${h.committed.time}ms`;
+    return `Height ${h.height}: ${committed} after ${h.rounds.size} round${h.rounds.size === 1 ? "" : "s"}`;
+  }
+
+  /**
+   * Produces a plain text report, with a table for every round.
+   *
+   * @param {Object} [opts] - Filters for the heights (see selectHeights).
+   *
+   * @returns {String} - The report.
+   */
+  textReport(opts) {
+    let lines = [];
+    this.selectHeights(opts).forEach((h) => {
+      lines.push(RoundInspector.heightTitle(h));
+      Array.from(h.rounds.values()).sort((a, b) => a.round - b.round).forEach((round) => {
+        lines.push(`  Round ${round.round} (started at ${round.start}ms), proposer ${RoundInspector.proposerText(round)}`);
+        let proposals = Array.from(round.proposals.entries())
+          .map(([blockID, from]) => `${shortID(blockID)} from ${Array.from(from).join("/")}`);
+        lines.push(`    Proposals: ${proposals.length === 0 ? "none" : proposals.join(", ")}`);
+
+        let rows = this.roundRows(round);
+        let widths = rows[0].map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+        rows.forEach((row) => {
+          lines.push(`    ${row.map((cell, i) => cell.padEnd(widths[i])).join("  ")}`.replace(/ +$/, ""));
+        });
+      });
+      lines.push("");
+    });
+    return lines.join("\n");
+  }
+
+  /**
+   * Returns the spans of each validator's rounds at a height, for the
+   * timeline.  A round ends when the validator starts its next round,
+   * or commits the block for the height.
+   *
+   * @returns {Map} - name -> Array of { round, start, end }
+   */
+  timeline(h) {
+    let spans = new Map();
+    Array.from(h.rounds.values()).sort((a, b) => a.round - b.round).forEach((round) => {
+      round.validators.forEach((v, name) => {
+        if (v.started === undefined) return;
+        if (!spans.has(name)) spans.set(name, []);
+        spans.get(name).push({ round: round.round, start: v.started });
+      });
+    });
+    spans.forEach((list, name) => {
+      list.forEach((span, i) => {
+        span.end = i + 1 < list.length ? list[i + 1].start : h.commitTimes.get(name);
+        if (span.end === undefined) span.end = span.start;
+      });
+    });
+    return spans;
+  }
+
+  /**
+   * Produces a self-contained HTML report, with a timeline of every
+   * validator's rounds and a table for every round.  Blocks are colored
+   * consistently, so that split votes stand out.
+   *
+   * @param {Object} [opts] - Filters for the heights (see selectHeights).
+   *
+   * @returns {String} - The HTML document.
+   */
+  htmlReport(opts) {
+    let cell = (text, blockID, tag="td") => {
+      let style = blockID === undefined ? "" : ` style="background: ${colorOf(blockID)}"`;
+      return `<${tag}${style}>${escapeHTML(text)}</${tag}>`;
+    };
+
+    let sections = this.selectHeights(opts).map((h) => {
+      let html = [`<section><h2>${escapeHTML(RoundInspector.heightTitle(h))}</h2>`];
+
+      let spans = this.timeline(h);
+      let all = [].concat(...spans.values());
+      if (all.length > 0) {
+        let start = Math.min(...all.map((s) => s.start));
+        let length = Math.max(1, Math.max(...all.map((s) => s.end)) - start);
+        html.push(`<div class="timeline"><div class="scale">${start}ms &ndash; ${start + length}ms</div>`);
+        Array.from(spans.keys()).sort().forEach((name) => {
+          html.push(`<div class="row"><span class="name">${escapeHTML(name)}</span><span class="track">`);
+          spans.get(name).forEach((span) => {
+            let left = 100 * (span.start - start) / length;
+            let width = Math.max(0.5, 100 * (span.end - span.start) / length);
+            html.push(`<span class="span r${Math.min(span.round, 5)}" style="left: ${left.toFixed(2)}%; ` +
+                `width: ${width.toFixed(2)}%" title="Round ${span.round}: ${span.start}ms - ${span.end}ms">` +
+                `r${span.round}</span>`);
+          });
+          html.push(`</span></div>`);
+        });
+        html.push(`</div>`);
+      }
+
+      Array.from(h.rounds.values()).sort((a, b) => a.round - b.round).forEach((round) => {
+        html.push(`<h3>Round ${round.round} (started at ${round.start}ms), ` +
+            `proposer ${escapeHTML(RoundInspector.proposerText(round))}</h3>`);
+        let proposals = Array.from(round.proposals.entries()).map(([blockID, from]) =>
+          `<span class="block" style="background: ${colorOf(blockID)}">${escapeHTML(shortID(blockID))}</span> ` +
+          `from ${escapeHTML(Array.from(from).join("/"))}`);
+        html.push(`<p>Proposals: ${proposals.length === 0 ? "none" : proposals.join(", ")}</p>`);
+
+        let rows = this.roundRows(round);
+        html.push(`<table><tr>${rows[0].map((text) => cell(text, undefined, "th")).join("")}</tr>`);
+        rows.slice(1).forEach((row) => {
+          let v = round.validators.get(row[0]);
+          let cells = [cell(row[0]), cell(row[1])];
+          VOTE_TYPES.forEach((type, i) => {
+            let votes = v.votes[type];
+            let double = votes.length > 1 ? ` class="double"` : "";
+            cells.push(`<td${double}>${votes.map((blockID) =>
+              `<span class="block" style="background: ${colorOf(blockID)}">${escapeHTML(shortID(blockID))}</span>`)
+              .join(" ") || "-"}</td>`);
+            let tally = v.tallies[type];
+            cells.push(cell(row[3 + 2 * i], tally === undefined ? undefined : tally.winner));
+          });
+          html.push(`<tr>${cells.join("")}</tr>`);
+        });
+        html.push(`</table>`);
+      });
+
+      html.push(`</section>`);
+      return html.join("\n");
+    });
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Consensus rounds</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; margin-bottom: 1em; }
+  th, td { border: 1px solid #aaa; padding: 0.2em 0.5em; font-family: monospace; }
+  td.double { outline: 2px solid red; }
+  .block { padding: 0 0.3em; font-family: monospace; }
+  .timeline { margin: 1em 0; }
+  .scale { color: #666; font-size: small; }
+  .row { display: flex; align-items: center; height: 1.4em; }
+  .name { width: 8em; }
+  .track { position: relative; flex: 1; height: 1.2em; background: #f4f4f4; }
+  .span { position: absolute; top: 0; height: 100%; overflow: hidden; font-size: small;
+    box-sizing: border-box; border-right: 1px solid #fff; }
+  .r1 { background: #9c9; } .r2 { background: #cc6; } .r3 { background: #e96; }
+  .r4 { background: #e66; } .r5 { background: #c36; }
+</style>
+</head>
+<body>
+<h1>Consensus rounds</h1>
+${sections.length === 0 ? "<p>No heights to show.</p>" : sections.join("\n")}
+</body>
+</html>
+`;
+  }
+
+};
@@ -0,0 +1,405 @@
+"use strict";
+
+const path = require('path');
+
+const { Transaction } = require('spartan-gold');
+
+const StakeClient = require('./stake-client.js');
+const Validator = require('./validator.js');
+const StakeBlock = require('./stake-block.js');
+const StakeBlockchain = require('./stake-blockchain.js');
+const UnreliableNet = require('./unreliable-net.js');
+const GossipNet = require('./gossip-net.js');
+const SimClock = require('./sim-clock.js');
+
+const Coalition = require('./coalition.js');
+const ConsensusMetrics = require('./consensus-metrics.js');
+const EventLog = require('./event-log.js');
+
+// Validators are ordered by address, so a reproducible run needs the same
+// key pairs every time.  Nodes with other names get new key pairs.
+const KEYS = require('./sim-keys.json');
+
+// The classes that a scenario may use for its validators, by name.
+const CLASSES = {
+  Validator,
+  AmnesiacValidator: require('./amnesiac-validator.js'),
+  ByzantineCommitter: require('./byzantine-committer.js'),
+  ByzantinePrecommitter: require('./byzantine-precommitter.js'),
+  ByzantineProposer: require('./byzantine-proposer.js'),
+  ByzantineVoter: require('./byzantine-voter.js'),
+  CoalitionValidator: require('./coalition-validator.js'),
+  ForgingValidator: require('./forging-validator.js'),
+  SilentValidator: require('./silent-validator.js'),
+  StaleVoter: require('./stale-voter.js'),
+  WithholdingProposer: require('./withholding-proposer.js'),
+};
+
+// Defaults for settings that a scenario leaves out.
+const DEFAULTS = {
+  seed: 1,
+  delta: 400,
+  commitTime: 2000,
+  confirmedDepth: 3,
+  stop: { height: 10, timeout: 10 * 60 * 1000 },
+};
+
+// Delay between a late validator posting its stake and starting to validate.
+const JOIN_DELAY = 1000;
+
+// Number of validators that each node on a gossip network starts out knowing.
+const GOSSIP_SEEDS = 2;
+
+// Actions that a scenario may take, and the methods that perform them.
+const ACTIONS = {
+  transfer: "doTransfer",
+  stake: "doStake",
+  unstake: "doUnstake",
+  join: "doJoin",
+  leave: "doLeave",
+  partition: "doPartition",
+};
+
+/**
+ * A scenario describes a simulated run:  the nodes in the network, the
+ * network conditions, things that happen during the run, and when to stop.
+ * Scenarios are JSON (or JS) files, such as:
+ *
+ *   {
+ *     "name": "late-validator",
+ *     "description": "Donald joins the validators late.",
+ *     "seed": 1,
+ *     "delta": 400,
+ *     "commitTime": 2000,
+ *     "net": { "chanceMessageFails": 0.05, "messageDelay": 1000 },
+ *     "clients": [ { "name": "Alice", "balance": 233 } ],
+ *     "validators": [
+ *       { "name": "Minnie", "balance": 400, "stake": 200 },
+ *       { "name": "Goofy", "balance": 200, "stake": 54, "class": "ByzantineVoter" },
+ *       { "name": "Donald", "balance": 500, "late": true }
+ *     ],
+ *     "actions": [
+ *       { "at": 0, "do": "transfer", "from": "Alice", "to": "Minnie", "amount": 40 },
+ *       { "at": 4000, "do": "join", "node": "Donald", "stake": 300 }
+ *     ],
+ *     "stop": { "height": 10, "timeout": 600000 }
+ *   }
+ *
+ * Validators use the Validator class unless another class is named, and
+ * any "settings" are passed to its constructor.  Validators with the same
+ * "coalition" name share a Coalition.  Late validators are not part of the
+ * network until a join action.  The "net" settings are as for
+ * UnreliableNet.fromConfig, and "slashing" is as for makeGenesis.
+ * The validators record their consensus events (see event-log.js), which
+ * are also written to "eventFile" as JSON lines, if it is specified.
+ *
+ * With "net.type" set to "gossip", each node has its own GossipNet on top
+ * of the simulated network, and starts out with a few random validators as
+ * its peers ("net.seeds", default 2).  The GossipNet settings "maxPeers"
+ * and "peerExchangeInterval" may also be given in "net".
+ *
+ * Actions take place at the specified virtual time (in milliseconds):
+ *
+ * - transfer: Sends gold "from" one node "to" another, with an optional fee.
+ * - stake / unstake: Bonds or unbonds an amount of the node's gold.
+ * - join: Connects a late validator, which stakes any specified amount,
+ *   and starts validating shortly after.
+ * - leave: Stops a validator.  (Its stake stays bonded.)
+ * - partition: Splits the network into groups for the specified duration.
+ *
+ * The run stops once every validator listed in "stop.nodes" has a chain of
+ * at least "stop.height" blocks, or after "stop.timeout" milliseconds of
+ * virtual time.  By default, the run waits for the running validators that
+ * use the Validator class.
+ *
+ * Runs use a simulated clock, so a scenario run with the same seed always
+ * produces the same chain.
+ */
+module.exports = class Scenario {
+
+  /**
+   * Loads a scenario from a JSON or JS file.
+   *
+   * @param {String} file - Path of the scenario file.
+   *
+   * @returns {Scenario} - The scenario.
+   */
+  static load(file) {
+    let spec = require(path.resolve(file));
+    if (spec.name === undefined) spec = Object.assign({ name: path.basename(file, path.extname(file)) }, spec);
+    return new Scenario(spec);
+  }
+
+  /**
+   * @param {Object} spec - The scenario, as described above.
+   */
+  constructor(spec) {
+    this.spec = Object.assign({}, DEFAULTS, spec);
+    this.spec.stop = Object.assign({}, DEFAULTS.stop, spec.stop);
+
+    this.clients = this.spec.clients || [];
+    this.validators = this.spec.validators || [];
+    this.actions = this.spec.actions || [];
+
+    let names = this.clients.concat(this.validators).map(({ name }) => name);
+    names.forEach((name, i) => {
+      if (names.indexOf(name) !== i) throw new Error(`Node ${name} is listed more than once.`);
+    });
+    this.validators.forEach(({ name, class: cls="Validator" }) => {
+      if (CLASSES[cls] === undefined) throw new Error(`Unrecognized class ${cls} for ${name}.`);
+    });
+    let netType = (this.spec.net || {}).type;
+    if (netType !== undefined && netType !== "gossip") {
+      throw new Error(`Unrecognized network type: ${netType}`);
+    }
+    this.actions.forEach((action) => {
+      if (ACTIONS[action.do] === undefined) {
+        throw new Error(`Unrecognized action: ${action.do}`);
+      }
+    });
+  }
+
+  /**
+   * Creates the nodes and the genesis block, and starts the validators
+   * (other than late validators).
+   *
+   * @param {number} [seed] - Seed for the simulated clock, overriding the scenario's.
+   */
+  build(seed=this.spec.seed) {
+    this.seed = seed;
+    this.clock = new SimClock(seed);
+    this.net = UnreliableNet.fromConfig(this.spec.net || {});
+    this.gossip = (this.spec.net || {}).type === "gossip";
+    this.eventLog = new EventLog(this.spec.eventFile);
+
+    // Nodes by name, and which validators are running.
+    this.nodes = {};
+    this.running = new Set();
+
+    this.clients.forEach(({ name }) => {
+      this.nodes[name] = new StakeClient({ name, net: this.makeNet(), keyPair: KEYS[name] });
+    });
+
+    let coalitions = new Map();
+    this.validators.forEach(({ name, class: cls="Validator", settings, coalition }) => {
+      let obj = Object.assign({ name, net: this.makeNet(), keyPair: KEYS[name], eventLog: this.eventLog }, settings);
+      if (coalition !== undefined) {
+        if (!coalitions.has(coalition)) coalitions.set(coalition, new Coalition());
+        obj.coalition = coalitions.get(coalition);
+      }
+      this.nodes[name] = new CLASSES[cls](obj);
+    });
+
+    let all = this.clients.concat(this.validators);
+    StakeBlockchain.makeGenesis({
+      blockClass: StakeBlock,
+      transactionClass: Transaction,
+      confirmedDepth: this.spec.confirmedDepth,
+      delta: this.spec.delta,
+      commitTime: this.spec.commitTime,
+      slashing: this.spec.slashing,
+      clock: this.clock,
+      clientBalanceMap: new Map(all.map(({ name, balance }) => [this.nodes[name], balance])),
+      startingStakeMap: new Map(this.validators.filter(({ stake }) => stake !== undefined)
+          .map(({ name, stake }) => [this.nodes[name], stake])),
+    });
+
+    // Prefixing log messages with the virtual time, unless the scenario is quiet.
+    Object.values(this.nodes).forEach((node) => {
+      let log = node.log.bind(node);
+      node.log = this.spec.quiet ? function(){} : (msg) => log(`[${this.clock.now()}ms] ${msg}`);
+    });
+
+    let early = all.filter(({ late }) => !late).map(({ name }) => this.nodes[name]);
+    this.net.register(...early);
+    early.forEach((node) => this.startGossip(node));
+    this.validators.forEach(({ name, late }) => {
+      if (!late) this.start(name);
+    });
+
+    // Results of each action, for the report.
+    this.actionLog = [];
+    this.actions.forEach((action) => {
+      this.clock.setTimeout(() => this.perform(action), action.at || 0);
+    });
+  }
+
+  /**
+   * Returns the network for a new node:  the simulated network, or on a
+   * gossip network, the node's own GossipNet on top of it.
+   */
+  makeNet() {
+    if (!this.gossip) return this.net;
+    let { maxPeers, peerExchangeInterval } = this.spec.net;
+    return new GossipNet(this.net, { maxPeers, peerExchangeInterval });
+  }
+
+  /**
+   * Starts gossiping for a node that has just been registered,
+   * using a few random validators on the network as seeds.
+   */
+  startGossip(node) {
+    if (!this.gossip) return;
+    let others = this.validators.map(({ name }) => this.nodes[name])
+      .filter((v) => v !== node && this.net.recognizes(v));
+    let numSeeds = this.spec.net.seeds === undefined ? GOSSIP_SEEDS : this.spec.net.seeds;
+    let seeds = [];
+    while (seeds.length < numSeeds && others.length > 0) {
+      let [seed] = others.splice(Math.floor(this.clock.random() * others.length), 1);
+      seeds.push({ address: seed.address });
+    }
+    node.net.start(node, seeds);
+  }
+
+  /**
+   * Starts a validator.
+   */
+  start(name) {
+    this.nodes[name].initialize();
+    this.running.add(name);
+  }
+
+  /**
+   * Looks up a node, failing if the scenario does not have it.
+   */
+  node(name) {
+    let node = this.nodes[name];
+    if (node === undefined) throw new Error(`Unknown node: ${name}`);
+    return node;
+  }
+
+  /**
+   * Performs an action, recording the result.  A failed action is
+   * recorded with its error, rather than ending the run.
+   */
+  perform(action) {
+    let entry = Object.assign({ time: this.clock.now() }, action);
+    try {
+      this[ACTIONS[action.do]](action);
+      entry.ok = true;
+    } catch (e) {
+      entry.ok = false;
+      entry.error = e.message;
+      if (!this.spec.quiet) console.log(`[${this.clock.now()}ms] Action ${action.do} failed: ${e.message}`);
+    }
+    this.actionLog.push(entry);
+  }
+
+  doTransfer({ from, to, amount, fee }) {
+    this.node(from).postTransaction([{ amount, address: this.node(to).address }], fee);
+  }
+
+  doStake({ node, amount, fee }) {
+    this.node(node).postStakingTransaction(amount, fee);
+  }
+
+  doUnstake({ node, amount, fee }) {
+    this.node(node).postUnstakingTransaction(amount, fee);
+  }
+
+  doJoin({ node, stake, fee }) {
+    let validator = this.node(node);
+    if (!this.net.recognizes(validator)) {
+      this.net.register(validator);
+      this.startGossip(validator);
+    }
+    if (stake !== undefined) validator.postStakingTransaction(stake, fee);
+    this.clock.setTimeout(() => this.start(node), JOIN_DELAY);
+  }
+
+  doLeave({ node }) {
+    let validator = this.node(node);
+    validator.stop();
+    if (this.gossip) validator.net.stop();
+    this.running.delete(node);
+  }
+
+  doPartition({ groups, duration }) {
+    groups.forEach((group) => group.forEach((name) => this.node(name)));
+    let start = this.clock.now() - this.net.startTime;
+    this.net.partitions.push({ start, end: duration === undefined ? undefined : start + duration, groups });
+  }
+
+  /**
+   * The validators whose progress decides when the run is done.
+   */
+  get watched() {
+    let names = this.spec.stop.nodes;
+    if (names === undefined) {
+      names = this.validators.filter(({ name, class: cls="Validator" }) =>
+        cls === "Validator" && this.running.has(name)).map(({ name }) => name);
+    }
+    return names.map((name) => this.node(name));
+  }
+
+  /**
+   * Runs the scenario until its stop condition, building it first if needed.
+   *
+   * @param {number} [seed] - Seed for the simulated clock, overriding the scenario's.
+   *
+   * @returns {Object} - The report for the run.
+   */
+  run(seed) {
+    if (this.clock === undefined) this.build(seed);
+    let { height, timeout } = this.spec.stop;
+    let done = () => this.watched.every((v) => v.lastBlock.chainLength >= height);
+    this.clock.run({ until: timeout, stopWhen: done });
+    this.stoppedBecause = done() ? "height" : "timeout";
+    return this.report();
+  }
+
+  /**
+   * Summarizes the run:  how far each validator got, whether the watched
+   * validators agree on the chain, the balances and stake of every node
+   * (from the perspective of the first watched validator), and metrics
+   * from the consensus events.
+   */
+  report() {
+    let watched = this.watched;
+    let heights = {};
+    this.validators.forEach(({ name }) => {
+      if (this.nodes[name].lastBlock !== undefined) heights[name] = this.nodes[name].lastBlock.chainLength;
+    });
+
+    // Comparing the watched validators' blocks at the height they all have.
+    // If no validators are watched, there is no such height.
+    let commonHeight = undefined;
+    watched.forEach((v) => {
+      let height = v.lastBlock.chainLength;
+      if (commonHeight === undefined || height < commonHeight) commonHeight = height;
+    });
+    let ids = new Set(watched.map((v) => {
+      let block = v.lastBlock;
+      while (block.chainLength > commonHeight) block = v.blocks.get(block.prevBlockHash);
+      return block.id;
+    }));
+
+    let block = watched.length > 0 ? watched[0].lastBlock : undefined;
+    let nodes = this.clients.concat(this.validators).map(({ name }) => {
+      let node = this.nodes[name];
+      let entry = { name, class: node.constructor.name };
+      if (block !== undefined) {
+        entry.balance = block.balanceOf(node.address);
+        entry.staked = block.amountGoldStaked(node.address);
+        entry.unbonding = block.amountGoldUnbonding(node.address);
+      }
+      return entry;
+    });
+
+    return {
+      scenario: this.spec.name,
+      seed: this.seed,
+      stoppedBecause: this.stoppedBecause,
+      virtualTime: this.clock.now(),
+      heights,
+      agreement: { height: commonHeight, agree: ids.size <= 1 },
+      lastBlock: block === undefined ? undefined : block.id,
+      punishments: block === undefined ? 0 : block.punishments.size,
+      perspective: watched.length > 0 ? watched[0].name : undefined,
+      nodes,
+      actions: this.actionLog,
+      metrics: new ConsensusMetrics(this.eventLog.events).summary(),
+    };
+  }
+
+};
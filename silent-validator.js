@@ -0,0 +1,41 @@
+"use strict";
+
+const Validator = require('./validator.js');
+
+/**
+ * This class simulates a validator that crashes:  it behaves normally until
+ * it reaches the specified height, and then stops sending or responding
+ * to any messages.  By default, it is silent from the start.
+ */
+module.exports = class SilentValidator extends Validator {
+
+  /**
+   * @param {Object} obj - The properties of the validator.
+   * @param {number} [obj.crashHeight] - Height at which the validator stops.
+   */
+  constructor(...args) {
+    super(...args);
+    let { crashHeight=0 } = args[0] || {};
+    this.crashHeight = crashHeight;
+    this.crashed = false;
+  }
+
+  newRound() {
+    if (this.height >= this.crashHeight) {
+      this.crash();
+      return;
+    }
+    super.newRound();
+  }
+
+  /**
+   * Stops all timers and stops listening for messages.
+   */
+  crash() {
+    if (this.crashed) return;
+    this.log(`Crashing at height ${this.height}.`);
+    this.crashed = true;
+    this.stop();
+  }
+
+};
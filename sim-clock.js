@@ -0,0 +1,215 @@
+"use strict";
+
+/**
+ * A simulated clock for running the validators without waiting on real time.
+ *
+ * The clock keeps a queue of timers, ordered by the virtual time when they
+ * fire (and, for timers firing at the same time, by the order they were set).
+ * Running the clock repeatedly jumps ahead to the next timer and calls it,
+ * so a simulation that would take minutes of real time finishes as quickly
+ * as the code can run.
+ *
+ * The clock also provides a seeded pseudo-random number generator.  As long
+ * as the validators' timers, the network's delays, and all other random
+ * choices go through the same clock, a run is exactly reproducible from its
+ * seed.  (Since validators are ordered by address, their key pairs must be
+ * the same from run to run as well.)
+ *
+ * To use the clock, pass it to StakeBlockchain.makeGenesis as cfg.clock.
+ */
+module.exports = class SimClock {
+
+  /**
+   * @param {number} [seed] - Seed for the pseudo-random number generator.
+   * @param {number} [startTime] - Initial virtual time, in milliseconds.
+   */
+  constructor(seed=1, startTime=0) {
+    this.seed = seed;
+    this.rngState = seed >>> 0;
+    this.time = startTime;
+
+    // Binary min-heap of pending timers.
+    this.queue = [];
+    this.nextSeq = 0;
+
+    // Timers that have not yet fired or been cancelled:  ID -> timer
+    this.timers = new Map();
+    this.nextID = 1;
+  }
+
+  /**
+   * Returns the current virtual time, in milliseconds.
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Returns a pseudo-random number in the range [0, 1), using the
+   * mulberry32 generator.
+   */
+  random() {
+    this.rngState = (this.rngState + 0x6D2B79F5) >>> 0;
+    let t = this.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Calls a function once the specified amount of virtual time has passed.
+   *
+   * @param {Function} fn - The function to call.
+   * @param {number} [delay] - Delay in milliseconds.
+   *
+   * @returns {number} - ID of the timer, for clearTimeout.
+   */
+  setTimeout(fn, delay=0) {
+    let id = this.nextID++;
+    this.push({ time: this.time + Math.max(delay, 0), id, fn });
+    return id;
+  }
+
+  /**
+   * Cancels a timer, if it has not fired yet.
+   *
+   * @param {number} id - ID of the timer.
+   */
+  clearTimeout(id) {
+    let timer = this.timers.get(id);
+    if (timer !== undefined) {
+      timer.cancelled = true;
+      this.timers.delete(id);
+    }
+  }
+
+  /**
+   * Calls a function repeatedly, every interval milliseconds.  The same
+   * ID is used for every repetition, so clearInterval stops all of them.
+   *
+   * @param {Function} fn - The function to call.
+   * @param {number} interval - Time between calls in milliseconds.
+   *
+   * @returns {number} - ID of the timer, for clearInterval.
+   */
+  setInterval(fn, interval) {
+    let id = this.nextID++;
+    let repeat = () => {
+      this.push({ time: this.time + Math.max(interval, 1), id, fn: repeat });
+      fn();
+    };
+    this.push({ time: this.time + Math.max(interval, 1), id, fn: repeat });
+    return id;
+  }
+
+  /**
+   * Cancels a repeating timer.
+   *
+   * @param {number} id - ID of the timer.
+   */
+  clearInterval(id) {
+    this.clearTimeout(id);
+  }
+
+  /**
+   * Returns the number of timers waiting to fire.
+   */
+  get pending() {
+    return this.timers.size;
+  }
+
+  /**
+   * Advances to the next timer and calls it.
+   *
+   * @returns {boolean} - False if there were no timers left.
+   */
+  step() {
+    while (this.queue.length > 0) {
+      let timer = this.pop();
+      if (timer.cancelled) continue;
+      this.timers.delete(timer.id);
+      this.time = timer.time;
+      timer.fn();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Runs timers in order until no timers are left, the virtual time
+   * would pass the specified time, or the stop condition is met.
+   *
+   * @param {Object} [opts] - Limits on the run.
+   * @param {number} [opts.until] - Virtual time at which to stop.
+   * @param {Function} [opts.stopWhen] - Checked after each timer; the run ends once it returns true.
+   * @param {number} [opts.maxSteps] - Maximum number of timers to call.
+   *
+   * @returns {number} - The number of timers that were called.
+   */
+  run({ until=Infinity, stopWhen=() => false, maxSteps=Infinity } = {}) {
+    let steps = 0;
+    while (steps < maxSteps && this.nextTime() !== Infinity && this.nextTime() <= until) {
+      this.step();
+      steps++;
+      if (stopWhen()) return steps;
+    }
+    if (until !== Infinity && this.time < until) this.time = until;
+    return steps;
+  }
+
+  /**
+   * Returns the time of the next timer to fire, or Infinity if there are
+   * none.  Cancelled timers at the front of the queue are discarded.
+   */
+  nextTime() {
+    while (this.queue.length > 0 && this.queue[0].cancelled) this.pop();
+    return this.queue.length > 0 ? this.queue[0].time : Infinity;
+  }
+
+  /**
+   * Orders timers by their time, and then by the order they were set.
+   */
+  static before(a, b) {
+    return a.time < b.time || (a.time === b.time && a.seq < b.seq);
+  }
+
+  /**
+   * Adds a timer to the queue.
+   */
+  push(timer) {
+    timer.seq = this.nextSeq++;
+    this.timers.set(timer.id, timer);
+    let q = this.queue;
+    q.push(timer);
+    let i = q.length - 1;
+    while (i > 0) {
+      let parent = (i - 1) >> 1;
+      if (!SimClock.before(q[i], q[parent])) break;
+      [q[i], q[parent]] = [q[parent], q[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Removes and returns the next timer in the queue.
+   */
+  pop() {
+    let q = this.queue;
+    let top = q[0];
+    let last = q.pop();
+    if (q.length > 0) {
+      q[0] = last;
+      let i = 0;
+      for (;;) {
+        let left = 2 * i + 1, right = left + 1, smallest = i;
+        if (left < q.length && SimClock.before(q[left], q[smallest])) smallest = left;
+        if (right < q.length && SimClock.before(q[right], q[smallest])) smallest = right;
+        if (smallest === i) break;
+        [q[i], q[smallest]] = [q[smallest], q[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+};
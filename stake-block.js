@@ -1,15 +1,119 @@
 "use strict";
 
-const { Block } = require('spartan-gold');
+const { Block, utils } = require('spartan-gold');
 
 const Proposal = require('./proposal.js');
+const StakeBlockchain = require('./stake-blockchain.js');
 const Vote = require('./vote.js');
 
 const TX_TYPE_STAKE = "STAKE";
 const TX_TYPE_UNSTAKE = "UNSTAKE";
 const TX_TYPE_EVIDENCE = "EVIDENCE";
 
-const UNSTAKE_DELAY = 35;
+/**
+ * Converts the messages from an evidence transaction back into proposals
+ * or votes.  Proposals have a 'block' field, so distinguish between
+ * votes and proposals by checking for its existence.
+ * 
+ * @param {Object} msg1 - A proposal or vote.
+ * @param {Object} msg2 - A conflicting proposal or vote.
+ * 
+ * @returns {Array} - The two messages as Proposal or Vote instances.
+ */
+function evidenceMessages(msg1, msg2) {
+  if (msg1.block !== undefined) {
+    return [new Proposal(msg1), new Proposal(msg2)];
+  } else {
+    return [new Vote(msg1), new Vote(msg2)];
+  }
+}
+
+/**
+ * Determines the offense committed by sending conflicting messages,
+ * matching the fields of the slashing policy.
+ * 
+ * @param {Proposal | Vote} msg - One of the conflicting messages.
+ * 
+ * @returns {String} - The type of offense, or undefined for an unrecognized message.
+ */
+function offenseType(msg) {
+  if (msg instanceof Proposal) return 'doubleProposal';
+  switch (msg.type) {
+    case StakeBlockchain.PREVOTE: return 'doublePrevote';
+    case StakeBlockchain.PRECOMMIT: return 'doublePrecommit';
+    case StakeBlockchain.COMMIT: return 'doubleCommit';
+    default: return undefined;
+  }
+}
+
+/**
+ * Verifies that the votes are correctly signed COMMIT votes for
+ * the specified block and height, each from a different validator.
+ * 
+ * @param {Array} votes - The commit votes.
+ * @param {number} height - Height of the committed block.
+ * @param {String} blockID - ID of the committed block.
+ * 
+ * @returns {Set} - The addresses of the signers, or null if any vote is invalid.
+ */
+function commitSigners(votes, height, blockID) {
+  if (!Array.isArray(votes) || votes.length === 0) return null;
+
+  let signers = new Set();
+  for (let v of votes) {
+    let vote = new Vote(v);
+    if (vote.type !== StakeBlockchain.COMMIT ||
+        vote.height !== height ||
+        vote.blockID !== blockID ||
+        signers.has(vote.from) ||
+        !vote.hasValidSignature()) {
+      return null;
+    }
+    signers.add(vote.from);
+  }
+  return signers;
+}
+
+/**
+ * Returns true if every signer is in the validator set, and together
+ * the signers hold more than 2/3 of its voting power.
+ * 
+ * @param {Set} signers - Addresses of the signers.
+ * @param {Map} validators - Mapping of validator addresses to their voting power.
+ * @param {number} totalPower - Total voting power of the validators.
+ */
+function isQuorum(signers, validators, totalPower) {
+  let power = 0;
+  for (let addr of signers) {
+    if (!validators.has(addr)) return false;
+    power += validators.get(addr);
+  }
+  return power > 2 * totalPower / 3;
+}
+
+/**
+ * Makes a snapshot of the validators with bonded gold, sorted by address,
+ * so that every client builds the same validator set.
+ * 
+ * @param {Map} stakeBalances - Mapping of addresses to the gold they have bonded.
+ * 
+ * @returns {Map} - Mapping of validator addresses to their voting power.
+ */
+function snapshotValidators(stakeBalances) {
+  let validators = new Map();
+  Array.from(stakeBalances.keys()).sort().forEach((addr) => {
+    let amountBonded = stakeBalances.get(addr);
+    if (amountBonded > 0) validators.set(addr, amountBonded);
+  });
+  return validators;
+}
+
+/**
+ * Returns true if both validator sets have the same members with the same power.
+ */
+function sameValidators(validators1, validators2) {
+  return JSON.stringify(Array.from(validators1)) === JSON.stringify(Array.from(validators2));
+}
 
 module.exports = class StakeBlock extends Block {
 
@@ -17,41 +121,158 @@ module.exports = class StakeBlock extends Block {
   static get TX_TYPE_UNSTAKE() { return TX_TYPE_UNSTAKE; }
   static get TX_TYPE_EVIDENCE() { return TX_TYPE_EVIDENCE; }
 
+  /**
+   * Identifies a piece of evidence by its pair of conflicting messages.
+   * The order of the messages does not matter.
+   * 
+   * @param {Object} msg1 - A proposal or vote.
+   * @param {Object} msg2 - A conflicting proposal or vote.
+   * 
+   * @returns {String} - ID of the evidence.
+   */
+  static evidenceID(msg1, msg2) {
+    [msg1, msg2] = evidenceMessages(msg1, msg2);
+    return [msg1.id, msg2.id].sort().join('-');
+  }
+
+  /**
+   * Returns the size of a transaction in bytes, as counted
+   * towards the MAX_BLOCK_BYTES limit.
+   * 
+   * @param {Transaction} tx - The transaction.
+   * 
+   * @returns {number} - Size of the serialized transaction.
+   */
+  static transactionSize(tx) {
+    return Buffer.byteLength(JSON.stringify(tx));
+  }
+
   constructor(rewardAddr, prevBlock, target, coinbaseReward) {
     super(rewardAddr, prevBlock, target, coinbaseReward);
 
+    // The clock is not set up until after the genesis block is made.
+    if (StakeBlockchain.clock !== undefined) {
+      this.timestamp = StakeBlockchain.clock.now();
+    }
+
+    // If only signers are rewarded, the block records the commit votes for
+    // the previous block, so that every validator pays the same validators.
+    if (StakeBlockchain.REWARD_SIGNERS_ONLY && prevBlock && Array.isArray(prevBlock.proof)) {
+      this.lastCommit = prevBlock.proof;
+    }
+
+    // The parent constructor pays all rewards for the previous block
+    // to its proposer.  Instead, we share them among the validators.
+    if (prevBlock && prevBlock.rewardAddr) {
+      this.balances = new Map(prevBlock.balances);
+      this.payRewards(prevBlock);
+    }
+
     // Tracking current balances of locked gold:  clientID -> totalAmount
     this.stakeBalances = (prevBlock && prevBlock.stakeBalances) ? new Map(prevBlock.stakeBalances) : new Map();
 
-    // Tracking when to unlock gold:  blockLocked -> [{ clientID, amount }]
+    // Tracking gold that is unbonding, but not yet released.  Unbonding gold
+    // has no voting power, but may still be slashed for earlier offenses:
+    //   releaseHeight -> [{ clientID, amount, height }]
+    // where height is the height of the block where the gold was unbonded.
     this.unstakingEvents = (prevBlock && prevBlock.unstakingEvents) ? new Map(prevBlock.unstakingEvents) : new Map();
 
     // Tracking power of validators (that is, priority for proposing blocks).
     this.accumPower = (prevBlock && prevBlock.accumPower) ? new Map(prevBlock.accumPower) : new Map();
 
-    // Tracking punishments (so that we don't over punish for a mistake).
-    //this.punishments = (prevBlock && prevBlock.punishments) ? new Set(prevBlock.punishments) : new Set();
+    // Tracking punishments (so that we don't over punish for a mistake):  evidenceID -> height
+    this.punishments = (prevBlock && prevBlock.punishments) ? new Map(prevBlock.punishments) : new Map();
+
+    // Tracking validators bonded at recent heights, used to check evidence:  height -> [addresses]
+    this.validatorHistory = (prevBlock && prevBlock.validatorHistory) ? new Map(prevBlock.validatorHistory) : new Map();
+
+    // Validator sets that will become active at a later height:  height -> Map of address -> power
+    this.pendingValidatorSets = (prevBlock && prevBlock.pendingValidatorSets) ? new Map(prevBlock.pendingValidatorSets) : new Map();
+
+    // The validators that vote on this block, and their total power, are part of the
+    // block header.  They depend only on the previous block, so that the set cannot
+    // change while this block is being built.
+    if (prevBlock && prevBlock.validators) {
+      this.updateValidatorSet(prevBlock);
+    }
 
     this.handleUnstakingEvents();
+    this.updateEvidenceRecords();
+  }
+
+  /**
+   * Schedules the stake balances of the previous block to become the validator
+   * set after VALIDATOR_SET_DELAY blocks, and then activates the validator set
+   * scheduled for this block's height, if there is one.  Otherwise, the
+   * validator set of the previous block is used.
+   * 
+   * @param {StakeBlock} prevBlock - The previous block in the blockchain.
+   */
+  updateValidatorSet(prevBlock) {
+    let activationHeight = prevBlock.chainLength + StakeBlockchain.VALIDATOR_SET_DELAY;
+    this.pendingValidatorSets.set(activationHeight, snapshotValidators(prevBlock.stakeBalances));
+
+    let validators = prevBlock.validators;
+    if (this.pendingValidatorSets.has(this.chainLength)) {
+      validators = this.pendingValidatorSets.get(this.chainLength);
+      this.pendingValidatorSets.delete(this.chainLength);
+    }
+
+    this.setValidatorSet(validators);
+  }
+
+  /**
+   * Sets the validators for this block.  Validators that have left the set
+   * lose their accumulated power, and new validators start with none.
+   * 
+   * @param {Map} validators - Mapping of validator addresses to their voting power.
+   */
+  setValidatorSet(validators) {
+    this.validators = validators;
+    this.totalPower = 0;
+    validators.forEach((power) => this.totalPower += power);
+
+    this.accumPower.forEach((_, addr) => {
+      if (!validators.has(addr)) this.accumPower.delete(addr);
+    });
+    validators.forEach((_, addr) => {
+      if (!this.accumPower.has(addr)) this.accumPower.set(addr, 0);
+    });
+  }
+
+  /**
+   * Returns the voting power of the address for this block's height,
+   * which is 0 if the address is not in the validator set.
+   */
+  votingPowerOf(addr) {
+    return this.validators.get(addr) || 0;
+  }
+
+  /**
+   * Records the validators at this height, and forgets validators and
+   * punishments from heights where evidence would be too old to accept.
+   */
+  updateEvidenceRecords() {
+    let validators = this.validators ? Array.from(this.validators.keys()) : [];
+    this.validatorHistory.set(this.chainLength, validators);
+
+    let oldestHeight = this.chainLength - StakeBlockchain.EVIDENCE_MAX_AGE;
+    this.validatorHistory.forEach((_, height) => {
+      if (height < oldestHeight) this.validatorHistory.delete(height);
+    });
+    this.punishments.forEach((height, evidenceID) => {
+      if (height < oldestHeight) this.punishments.delete(evidenceID);
+    });
   }
 
   /**
    * After a fixed number of blocks have passed since the unstaking event,
-   * staked gold becomes unstaked again.
+   * the unbonded gold is released and can be spent again.  (This happens
+   * every time the block is rerun, so nothing is logged here.)
    */
   handleUnstakingEvents() {
-    // Updating locked gold balances if the locking time has elapsed.
-    if (this.unstakingEvents.has(this.chainLength)) {
-      let q = this.unstakingEvents.get(this.chainLength);
-      q.forEach(({clientID, amount}) => {
-        let totalStaked = this.stakeBalances.get(clientID);
-        console.log(`Unstaking ${totalStaked} for ${clientID}`);
-        this.stakeBalances.set(clientID, totalStaked - amount);
-      });
-
-      // No longer need to track these locking events.
-      this.unstakingEvents.delete(this.chainLength);
-    }
+    // No longer need to track these locking events.
+    this.unstakingEvents.delete(this.chainLength);
   }
 
   /**
@@ -64,6 +285,22 @@ module.exports = class StakeBlock extends Block {
    */
   addTransaction(tx, client) {
     //console.log(`Adding tx: ${JSON.stringify(tx)}`);
+
+    // Evidence is checked before the transaction is accepted, so that
+    // invalid evidence cannot fill up blocks.
+    if (tx.data !== undefined && tx.data.type === TX_TYPE_EVIDENCE &&
+        !this.isValidEvidence(tx.data.msg1, tx.data.msg2, client)) {
+      if (client) client.log(`Rejecting evidence transaction ${tx.id}.`);
+      return false;
+    }
+
+    // Bonded and unbonding gold cannot be spent, and the amounts
+    // of staking transactions must be checked against the block.
+    if (!this.isValidLockingTransaction(tx, client)) {
+      if (client) client.log(`Rejecting transaction ${tx.id}.`);
+      return false;
+    }
+
     if (!super.addTransaction(tx, client)) return false;
 
     // For standard transactions, we don't need to do anything else.
@@ -77,7 +314,7 @@ module.exports = class StakeBlock extends Block {
         this.unstakeGold(tx.from, tx.data.amountToUnstake);
         break;
       case TX_TYPE_EVIDENCE:
-        this.punishCheater(tx.data.msg1, tx.data.msg2, client);
+        this.punishCheater(tx.data.msg1, tx.data.msg2, tx.from, client);
         break;
       default:
         throw new Error(`Unrecognized type: ${tx.data.type}`);
@@ -87,6 +324,61 @@ module.exports = class StakeBlock extends Block {
     return true;
   }
 
+  /**
+   * Verifies that the transaction only spends unlocked gold.  For STAKE
+   * transactions, the amount staked must also be covered by unlocked gold,
+   * and for UNSTAKE transactions, it must not exceed the gold bonded.
+   * Amounts must be positive integers.
+   * 
+   * @param {Transaction} tx - The transaction to check.
+   * @param {StakeClient} client - Used for printing debug messages.
+   * 
+   * @returns {boolean} - True if the transaction may be added to the block.
+   */
+  isValidLockingTransaction(tx, client) {
+    let log = (msg) => { if (client) client.log(msg); };
+
+    let spendable = this.spendableBalanceOf(tx.from);
+    let totalOutput = tx.totalOutput();
+    if (totalOutput > spendable) {
+      log(`Transaction ${tx.id} spends ${totalOutput}, but only ${spendable} gold is unlocked.`);
+      return false;
+    }
+
+    // For standard transactions, we don't need to check anything else.
+    if (tx.data === undefined || tx.data.type === undefined) return true;
+
+    let amount;
+    switch (tx.data.type) {
+      case TX_TYPE_STAKE:
+        amount = tx.data.amountStaked;
+        break;
+      case TX_TYPE_UNSTAKE:
+        amount = tx.data.amountToUnstake;
+        break;
+      case TX_TYPE_EVIDENCE:
+        return true;
+      default:
+        log(`Unrecognized type: ${tx.data.type}`);
+        return false;
+    }
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      log(`Invalid amount ${amount} for ${tx.data.type} transaction ${tx.id}.`);
+      return false;
+    }
+
+    if (tx.data.type === TX_TYPE_STAKE && totalOutput + amount > spendable) {
+      log(`Cannot stake ${amount}: only ${spendable - totalOutput} gold is unlocked.`);
+      return false;
+    } else if (tx.data.type === TX_TYPE_UNSTAKE && amount > this.amountGoldStaked(tx.from)) {
+      log(`Cannot unstake ${amount}: only ${this.amountGoldStaked(tx.from)} gold is staked.`);
+      return false;
+    }
+
+    return true;
+  }
+
   /**
    * Updates amount of gold staked for the specified address.
    * 
@@ -98,75 +390,208 @@ module.exports = class StakeBlock extends Block {
     this.stakeBalances.set(addr, currentStake + amountStaked);
   }
 
+  /**
+   * Unbonds gold for the specified address.  The gold immediately stops
+   * counting towards the validator's voting power, but it is not released
+   * until UNSTAKE_DELAY blocks have passed.  A validator that unbonds all
+   * of its gold leaves the validator set after VALIDATOR_SET_DELAY blocks.
+   * 
+   * @param {*} addr - Address unstaking gold.
+   * @param {number} amountUnstaked - Amount of gold to unbond.
+   */
   unstakeGold(addr, amountUnstaked) {
-    let unstakingRound = this.chainLength + UNSTAKE_DELAY;
-    let q = this.unstakingEvents.get(unstakingRound) || [];
-      q.push({clientID: addr, amount: amountUnstaked});
-      this.unstakingEvents.set(unstakingRound, q);
+    let remainingStake = this.amountGoldStaked(addr) - amountUnstaked;
+    if (remainingStake > 0) {
+      this.stakeBalances.set(addr, remainingStake);
+    } else {
+      this.stakeBalances.delete(addr);
+    }
+
+    // The arrays are shared with the previous block, so we make a copy.
+    let releaseHeight = this.chainLength + StakeBlockchain.UNSTAKE_DELAY;
+    let q = this.unstakingEvents.get(releaseHeight) || [];
+    q = q.concat({clientID: addr, amount: amountUnstaked, height: this.chainLength});
+    this.unstakingEvents.set(releaseHeight, q);
   }
 
-  punishCheater(msg1, msg2, client) {
+  /**
+   * Slashes the specified fraction of every unbonding entry for the address
+   * that was unbonded at or after the specified height.
+   * 
+   * @param {*} addr - Address of the cheater.
+   * @param {number} offenseHeight - Height where the offense took place.
+   * @param {number} fraction - Fraction of the unbonding gold to seize.
+   * 
+   * @returns {number} - Total amount of gold seized.
+   */
+  slashUnbonding(addr, offenseHeight, fraction) {
+    let amountSeized = 0;
+    this.unstakingEvents.forEach((q, releaseHeight) => {
+      q = q.map((entry) => {
+        if (entry.clientID !== addr || entry.height < offenseHeight) return entry;
+        let seized = Math.floor(entry.amount * fraction);
+        amountSeized += seized;
+        return Object.assign({}, entry, { amount: entry.amount - seized });
+      }).filter((entry) => entry.amount > 0);
+      this.unstakingEvents.set(releaseHeight, q);
+    });
+    return amountSeized;
+  }
 
-    // Proposals have a 'block' field, so distinguish between
-    // votes and proposals by checking for its existence.
-    if (msg1.block !== undefined) {
-      msg1 = new Proposal(msg1);
-      msg2 = new Proposal(msg2);
+  /**
+   * Determines whether two messages prove Byzantine behavior.  The messages
+   * must be different, correctly signed proposals or votes of the same type,
+   * from the same validator, and for the same height and round.  The validator
+   * must have been bonded at that height.  Evidence that is too old, or that
+   * has already been processed, is refused.
+   * 
+   * @param {Object} msg1 - A proposal or vote.
+   * @param {Object} msg2 - A conflicting proposal or vote.
+   * @param {StakeClient} [client] - Used for printing debug messages.
+   * 
+   * @returns {boolean} - True if the evidence is valid.
+   */
+  isValidEvidence(msg1, msg2, client) {
+    let log = (msg) => { if (client) client.log(msg); };
+
+    if (msg1 === null || typeof msg1 !== 'object' || msg2 === null || typeof msg2 !== 'object') {
+      log(`Evidence must include two messages.`);
+      return false;
+    } else if ((msg1.block === undefined) !== (msg2.block === undefined)) {
+      log(`Evidence compares a proposal with a vote.`);
+      return false;
+    }
+
+    [msg1, msg2] = evidenceMessages(msg1, msg2);
+
+    let validators = this.validatorHistory.get(msg1.height);
+    if (offenseType(msg1) === undefined || msg1.type !== msg2.type) {
+      log(`Evidence messages are not of the same type.`);
+      return false;
+    } else if (msg1.id === msg2.id) {
+      log(`Evidence messages are duplicates.`);
+      return false;
+    } else if (msg1.from !== msg2.from) {
+      log(`Evidence messages are from different senders.`);
+      return false;
+    } else if (msg1.height !== msg2.height || msg1.round !== msg2.round) {
+      log(`Evidence messages are for different heights or rounds.`);
+      return false;
+    } else if (msg1.height > this.chainLength || msg1.height < this.chainLength - StakeBlockchain.EVIDENCE_MAX_AGE) {
+      log(`Evidence for height ${msg1.height} is outside of the evidence window.`);
+      return false;
+    } else if (validators === undefined || !validators.includes(msg1.from)) {
+      log(`${msg1.from} was not bonded at height ${msg1.height}.`);
+      return false;
+    } else if (this.punishments.has(StakeBlock.evidenceID(msg1, msg2))) {
+      log(`Evidence has already been processed.`);
+      return false;
+    } else if (!msg1.hasValidSignature() || !msg2.hasValidSignature()) {
+      log(`Evidence messages are not correctly signed.`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Seizes part of a cheater's stake, given two conflicting messages as
+   * evidence.  The fraction seized depends on the type of offense, and the
+   * seized gold is burned, paid to the reporter, or shared among the other
+   * validators, according to the slashing policy.  A validator that loses
+   * all of its stake is ejected from the validator set after
+   * VALIDATOR_SET_DELAY blocks.
+   * 
+   * When the seized gold is shared, each share is rounded down (see
+   * shareByStake), and the few coins left over are burned.  Unlike with
+   * rewards, they are not paid to the proposer, since the proposer may be
+   * the cheater.  If there are no other validators, all of the seized gold
+   * is burned.
+   * 
+   * Gold unbonded after the offense is slashed by the same fraction,
+   * so that a cheater cannot unstake to escape punishment.
+   * 
+   * The evidence is assumed to have been checked with isValidEvidence.
+   * 
+   * @param {Object} msg1 - A proposal or vote.
+   * @param {Object} msg2 - A conflicting proposal or vote.
+   * @param {String} reporterAddr - Address of the client that submitted the evidence.
+   * @param {StakeClient} [client] - Used for printing debug messages.
+   */
+  punishCheater(msg1, msg2, reporterAddr, client) {
+    [msg1, msg2] = evidenceMessages(msg1, msg2);
+
+    // Recording the punishment, so that the cheater is not punished again.
+    this.punishments.set(StakeBlock.evidenceID(msg1, msg2), msg1.height);
+
+    // Byzantine behavior results in the validator losing some or all of
+    // their stake.  This differs between v. 0.5, where all of the stake is
+    // seized, and 0.6, where only 1/3 of the stake is seized.  The fraction
+    // is set per offense by the slashing policy.
+    let cheaterAddr = msg1.from;
+    let policy = StakeBlockchain.SLASHING_POLICY;
+    let fraction = policy[offenseType(msg1)];
+    let balance = this.balanceOf(cheaterAddr);
+    let stakeAmount = this.amountGoldStaked(cheaterAddr);
+    let stakeSeized = Math.floor(stakeAmount * fraction);
+
+    if (stakeSeized < stakeAmount) {
+      this.stakeBalances.set(cheaterAddr, stakeAmount - stakeSeized);
     } else {
-      msg1 = new Vote(msg1);
-      msg2 = new Vote(msg2);
-    }
-
-    //let punishmentID1 = msg1.id + '-' + msg2.id;
-    //let punishmentID2 = msg2.id + '-' + msg1.id;
-    //if (this.punishments.has(punishmentID1)) {
-    //  // If the cheater has already been punished, don't punish them again.
-    //  return;
-    //} else {
-    //  // Otherwise, record the punishment.
-    //  this.punishments.add(punishmentID1);
-    //  this.punishments.add(punishmentID2);
-    //}
-
-    // If the proposals are not duplicates, are from the same
-    // validator, are for the same height and round, and have
-    // valid signatures, they are evidence of Byzantine behavior.
-    if (msg1.id !== msg2.id && msg1.from === msg2.from &&
-        msg1.height === msg2.height && msg1.round === msg2.round &&
-        msg1.hasValidSignature() && msg2.hasValidSignature()) {
-
-      // Byzantine behavior results in the validator losing their stake,
-      // which is redistributed amongst the other validators.
-      // This seems to differ between v. 0.5 where all of the stake is
-      // seized, and 0.6 where only 1/3 of the stake is seized.  We chose
-      // to follow v. 0.5 for the sake of simplicity.
-      let cheaterAddr = msg1.from;
-      let balance = this.balanceOf(msg1.from);
-      let stakeAmount = this.amountGoldStaked(cheaterAddr);
-
-      // Ejecting the cheater from the validator set, and seizing their coins.
-      this.accumPower.delete(cheaterAddr);
+      // Ejecting the cheater from the validator set.
       this.stakeBalances.delete(cheaterAddr);
-      this.unstakingEvents.delete(cheaterAddr);
-      this.balances.set(cheaterAddr, balance - stakeAmount);
-
-      // Dividing up rewards among other validators according to their stake.
-      let totalBonded = this.getTotalStake();
-      this.stakeBalances.forEach((amountStaked, addr) => {
-        let b = this.balanceOf(addr);
-        let proportion = amountStaked / totalBonded;
-        let share = Math.floor(stakeAmount * proportion);
-        this.balances.set(addr, b+share);
-      });
+    }
 
-      if (client) client.log(`Seizing ${stakeAmount} bonded coins from ${cheaterAddr}.`);
+    let amountSeized = stakeSeized + this.slashUnbonding(cheaterAddr, msg1.height, fraction);
+    this.balances.set(cheaterAddr, balance - amountSeized);
+
+    if (policy.destination === StakeBlockchain.SLASH_REPORTER && reporterAddr !== cheaterAddr) {
+      this.balances.set(reporterAddr, this.balanceOf(reporterAddr) + amountSeized);
+    } else if (policy.destination === StakeBlockchain.SLASH_VALIDATORS) {
+      // Dividing up the seized gold among other validators according to their stake.
+      let otherValidators = new Map(this.stakeBalances);
+      otherValidators.delete(cheaterAddr);
+      this.shareByStake(amountSeized, otherValidators);
     }
+
+    if (client) client.log(`Seizing ${amountSeized} bonded and unbonding coins from ${cheaterAddr}.`);
   }
 
+  /**
+   * Returns the amount of gold bonded by the address, which determines its voting power.
+   */
   amountGoldStaked(addr) {
     return this.stakeBalances.get(addr) || 0;
   }
 
+  /**
+   * Returns the amount of gold that the address has unbonded, but that has not yet been released.
+   */
+  amountGoldUnbonding(addr) {
+    let amount = 0;
+    this.unstakingEvents.forEach((q) => {
+      q.forEach(({clientID, amount: amountUnbonding}) => {
+        if (clientID === addr) amount += amountUnbonding;
+      });
+    });
+    return amount;
+  }
+
+  /**
+   * Returns the amount of gold that the address cannot spend,
+   * including both bonded and unbonding gold.
+   */
+  amountGoldLocked(addr) {
+    return this.amountGoldStaked(addr) + this.amountGoldUnbonding(addr);
+  }
+
+  /**
+   * Returns the amount of gold that the address can spend, excluding locked gold.
+   */
+  spendableBalanceOf(addr) {
+    return this.balanceOf(addr) - this.amountGoldLocked(addr);
+  }
+
   /**
    * When rerunning a locking block, we must also replaying any gold
    * staking/unstaking events.
@@ -179,22 +604,243 @@ module.exports = class StakeBlock extends Block {
     this.stakeBalances = new Map(prevBlock.stakeBalances);
     this.unstakingEvents = new Map(prevBlock.unstakingEvents);
     this.accumPower = new Map(prevBlock.accumPower);
-    //this.punishments = new Set(prevBlock.punishments);
+    this.punishments = new Map(prevBlock.punishments);
+    this.validatorHistory = new Map(prevBlock.validatorHistory);
+    this.pendingValidatorSets = new Map(prevBlock.pendingValidatorSets);
+
+    // The validator set in the header, if there is one, must match
+    // the validator set determined by the previous block.
+    let headerValidators = this.validators;
+    let headerPower = this.totalPower;
+    this.updateValidatorSet(prevBlock);
+    if (headerValidators !== undefined &&
+        (!sameValidators(headerValidators, this.validators) || headerPower !== this.totalPower)) {
+      return false;
+    }
 
     // Updating the accumulated power for the block.
     this.updateAccumPower(this.rewardAddr);
 
+    // Blocks over the size limits are refused, so that a proposer cannot ignore them.
+    if (!this.withinSizeLimits()) {
+      return false;
+    }
+
     // Need to repeat any gold unstaking.
     this.handleUnstakingEvents();
+    this.updateEvidenceRecords();
 
-    return super.rerun(prevBlock);
-  }
+    // A committed block must be signed by the validators of the previous block.
+    // (Proposed blocks do not have a commit certificate yet.)
+    if (Array.isArray(this.proof) && !this.hasValidProof(prevBlock)) {
+      return false;
+    }
+
+    // If only signers are rewarded, we must have their commit votes, and
+    // they must be enough to have committed the previous block.  Otherwise,
+    // a proposer could leave out the other signers to keep their rewards.
+    if (StakeBlockchain.REWARD_SIGNERS_ONLY && !prevBlock.isGenesisBlock()) {
+      let signers = commitSigners(this.lastCommit, prevBlock.chainLength, prevBlock.id);
+      if (signers === null || !isQuorum(signers, prevBlock.validators, prevBlock.totalPower)) {
+        return false;
+      }
+    }
+
+    // Unlike the parent method, the rewards for the previous block are
+    // shared among the validators before the transactions are replayed.
+    this.balances = new Map(prevBlock.balances);
+    this.nextNonce = new Map(prevBlock.nextNonce);
+    if (prevBlock.rewardAddr) this.payRewards(prevBlock);
+
+    let txs = this.transactions;
+    this.transactions = new Map();
+    for (let tx of txs.values()) {
+      let success = this.addTransaction(tx);
+      if (!success) return false;
+    }
 
-  hasValidProof() {
-    // FIXME: need to validate block.
     return true;
   }
 
+  /**
+   * Returns true if the block's transactions are within the
+   * MAX_BLOCK_TXS and MAX_BLOCK_BYTES limits.
+   */
+  withinSizeLimits() {
+    if (this.transactions.size > StakeBlockchain.MAX_BLOCK_TXS) return false;
+    let bytes = 0;
+    this.transactions.forEach((tx) => bytes += StakeBlock.transactionSize(tx));
+    return bytes <= StakeBlockchain.MAX_BLOCK_BYTES;
+  }
+
+  /**
+   * Pays out the coinbase reward and transaction fees of the previous block.
+   * The proposer of that block receives a bonus, and the remaining gold is
+   * shared among the validators of the previous block according to
+   * their voting power.  If only signers are rewarded, validators without a commit
+   * vote in lastCommit receive nothing.  Any gold left over from rounding
+   * is paid to the proposer.
+   * 
+   * @param {StakeBlock} prevBlock - The block that earned the rewards.
+   */
+  payRewards(prevBlock) {
+    let totalRewards = prevBlock.totalRewards();
+    let bonus = Math.floor(totalRewards * StakeBlockchain.PROPOSER_BONUS);
+
+    let signers = undefined;
+    if (this.lastCommit !== undefined) {
+      signers = commitSigners(this.lastCommit, prevBlock.chainLength, prevBlock.id);
+    }
+
+    let recipients = new Map();
+    prevBlock.validators.forEach((power, addr) => {
+      if (signers === undefined || signers === null || signers.has(addr)) {
+        recipients.set(addr, power);
+      }
+    });
+
+    let amountPaid = this.shareByStake(totalRewards - bonus, recipients);
+
+    let proposerAddr = prevBlock.rewardAddr;
+    this.balances.set(proposerAddr, this.balanceOf(proposerAddr) + totalRewards - amountPaid);
+  }
+
+  /**
+   * Divides up gold among validators in proportion to their stake.
+   * Shares are rounded down, and the validators are processed in
+   * order of their addresses, so that the results are the same
+   * for every client.
+   * 
+   * @param {number} amount - The gold to share.
+   * @param {Map} stakeBalances - Mapping of recipient addresses to their stake.
+   * 
+   * @returns {number} - The total amount of gold paid out.
+   */
+  shareByStake(amount, stakeBalances) {
+    let totalStake = 0;
+    stakeBalances.forEach((amountStaked) => totalStake += amountStaked);
+    if (totalStake <= 0) return 0;
+
+    let amountPaid = 0;
+    Array.from(stakeBalances.keys()).sort().forEach((addr) => {
+      let share = Math.floor(amount * stakeBalances.get(addr) / totalStake);
+      this.balances.set(addr, this.balanceOf(addr) + share);
+      amountPaid += share;
+    });
+    return amountPaid;
+  }
+
+  /**
+   * The proof for a block is its commit certificate:  the COMMIT votes
+   * for this block.  Every vote must be correctly signed, must be for this
+   * block's height and ID, and must be from a different validator.
+   * 
+   * The voters must all be in this block's validator set, and must hold
+   * more than 2/3 of its voting power.  Since the validator set is determined by the previous
+   * block when the block is rerun, this final check is only made when the
+   * previous block is specified.
+   * 
+   * @param {StakeBlock} [prevBlock] - The previous block, which determined the validator set.
+   * 
+   * @returns {Boolean} - True if the block has a valid commit certificate.
+   */
+  hasValidProof(prevBlock) {
+    let signers = commitSigners(this.proof, this.chainLength, this.id);
+    if (signers === null) return false;
+
+    if (prevBlock === undefined) return true;
+
+    return isQuorum(signers, this.validators, this.totalPower);
+  }
+
+  /**
+   * Checks the commit votes for a later block against this block's
+   * validator set.  This is used for blocks beyond our last block, whose
+   * own validator set is not known until the blocks in between arrive.
+   * 
+   * @param {Array} votes - The commit votes.
+   * @param {number} height - Height of the committed block.
+   * @param {String} blockID - ID of the committed block.
+   * 
+   * @returns {Boolean} - True if more than 2/3 of this block's validators signed the votes.
+   */
+  certifies(votes, height, blockID) {
+    let signers = commitSigners(votes, height, blockID);
+    return signers !== null && isQuorum(signers, this.validators, this.totalPower);
+  }
+
+  /**
+   * The commit certificate is stored in the proof field, but it cannot be
+   * included in the hash, since the commit votes sign the block's ID.
+   * 
+   * @returns {String} - cryptographic hash of the block.
+   */
+  hashVal() {
+    let o = this.toJSON();
+    delete o.proof;
+    return utils.hash(JSON.stringify(o));
+  }
+
+  /**
+   * The validator set and its total power are included in the serialized
+   * block, as are the commit votes for the previous block if they have been
+   * recorded.  (The genesis block's validator set is set up after the block
+   * is shared with the clients, so it is not included in its hash.)
+   */
+  toJSON() {
+    let o = super.toJSON();
+    if (this.validators !== undefined && !this.isGenesisBlock()) {
+      o.validators = Array.from(this.validators.entries());
+      o.totalPower = this.totalPower;
+    }
+    if (this.lastCommit !== undefined) {
+      o.lastCommit = this.lastCommit;
+    }
+    return o;
+  }
+
+  /**
+   * Returns the state resulting from this block that is not part of the
+   * serialized block.  (Normally, this state is rebuilt by rerunning the
+   * block on top of the previous block.)  Saving the state allows the block
+   * to be restored without any of the blocks before it.
+   *
+   * @returns {Object} - The block's state, in a form suitable for JSON.
+   */
+  getState() {
+    let pendingSets = Array.from(this.pendingValidatorSets.entries())
+        .map(([height, validators]) => [height, Array.from(validators.entries())]);
+    return {
+      balances: Array.from(this.balances.entries()),
+      nextNonce: Array.from(this.nextNonce.entries()),
+      stakeBalances: Array.from(this.stakeBalances.entries()),
+      unstakingEvents: Array.from(this.unstakingEvents.entries()),
+      accumPower: Array.from(this.accumPower.entries()),
+      punishments: Array.from(this.punishments.entries()),
+      validatorHistory: Array.from(this.validatorHistory.entries()),
+      pendingValidatorSets: pendingSets,
+      validators: Array.from(this.validators.entries()),
+    };
+  }
+
+  /**
+   * Restores the state saved by getState.
+   *
+   * @param {Object} state - The block's state.
+   */
+  setState(state) {
+    this.balances = new Map(state.balances);
+    this.nextNonce = new Map(state.nextNonce);
+    this.stakeBalances = new Map(state.stakeBalances);
+    this.unstakingEvents = new Map(state.unstakingEvents);
+    this.accumPower = new Map(state.accumPower);
+    this.punishments = new Map(state.punishments);
+    this.validatorHistory = new Map(state.validatorHistory);
+    this.pendingValidatorSets = new Map(state.pendingValidatorSets
+        .map(([height, validators]) => [height, new Map(validators)]));
+    this.setValidatorSet(new Map(state.validators));
+  }
+
   /**
    * This method implements Tendermint's approach for updating voting power,
    * following the algorithm described in Section 4.3 of the 0.5 version of
@@ -208,7 +854,8 @@ module.exports = class StakeBlock extends Block {
 
     // We increase the voting power of each validator by the amount of
     // gold they have staked (or "bonded" by the terminology of their paper).
-    this.stakeBalances.forEach((amountBonded, addr) => {
+    // Only the validators in this block's validator set are considered.
+    this.validators.forEach((amountBonded, addr) => {
       let power = this.accumPower.get(addr) || 0;
       this.accumPower.set(addr, power + amountBonded);
       totalBonded += amountBonded;
@@ -217,7 +864,7 @@ module.exports = class StakeBlock extends Block {
     // The block proposer's power is reduced by the total amount
     // of **all** gold bonded, do that the total amount of voting
     // power is unchanged.
-    let currentPower = this.accumPower.get(proposerAddr);
+    let currentPower = this.accumPower.get(proposerAddr) || 0;
     this.accumPower.set(proposerAddr, currentPower - totalBonded);
   }
 
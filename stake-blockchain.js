@@ -7,27 +7,195 @@ const PREVOTE = "PREVOTE";
 const PRECOMMIT = "PRECOMMIT";
 const COMMIT = "COMMIT";
 const NIL = "NIL";
+const REQUEST_BLOCK = "REQUEST_BLOCK";
+const PROVIDE_BLOCK = "PROVIDE_BLOCK";
+const SYNC_REQUEST = "SYNC_REQUEST";
+const SYNC_RESPONSE = "SYNC_RESPONSE";
 
 // Default delay settings
 const DELTA = 300;
 const COMMIT_TIME = 1000;
 
+// Consensus steps with their own timeouts.  A validator waits for a proposal
+// (PROPOSE), then for prevotes (PREVOTE), precommits (PRECOMMIT), and finally
+// for commits (COMMIT).
+const STEP_PROPOSE = "propose";
+const STEP_PREVOTE = "prevote";
+const STEP_PRECOMMIT = "precommit";
+const STEP_COMMIT = "commit";
+
+// Maximum number of committed blocks sent in response to a sync request.
+const SYNC_BATCH_SIZE = 10;
+
+// Default reward settings.  The proposer bonus is the fraction of the
+// block rewards paid to the proposer before the rest is shared by stake.
+const PROPOSER_BONUS = 0.1;
+
+// Destinations for slashed gold.
+const SLASH_BURN = "BURN";
+const SLASH_REPORTER = "REPORTER";
+const SLASH_VALIDATORS = "VALIDATORS";
+
+// Default slashing policy, giving the fraction of the cheater's stake seized for
+// each type of offense.  By default, we follow TM 0.5 and seize the whole stake,
+// sharing it among the other validators.
+const SLASHING_POLICY = {
+  doubleProposal: 1,
+  doublePrevote: 1,
+  doublePrecommit: 1,
+  doubleCommit: 1,
+  destination: SLASH_VALIDATORS,
+};
+
+// Evidence of Byzantine behavior older than this many blocks is refused.
+const EVIDENCE_MAX_AGE = 20;
+
+// Number of blocks before unbonded gold is released.  This must be longer
+// than the evidence window, so that unbonding gold can still be slashed.
+const UNSTAKE_DELAY = 35;
+
+// Default limits on the size of a block, by number of transactions
+// and by the total size of the transactions in bytes.
+const MAX_BLOCK_TXS = 1000;
+const MAX_BLOCK_BYTES = 1024 * 1024;
+
+// Changes to the stake in a block take effect this many blocks later.
+// Following Tendermint, changes made in block H apply from block H+2.
+const VALIDATOR_SET_DELAY = 2;
+
+// By default, timers and random choices use the real clock.
+// A simulated clock (see sim-clock.js) may be used instead.
+const REAL_CLOCK = {
+  now: () => Date.now(),
+  random: () => Math.random(),
+  setTimeout: (fn, delay) => setTimeout(fn, delay),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, interval) => setInterval(fn, interval),
+  clearInterval: (id) => clearInterval(id),
+};
+
 module.exports = class StakeBlockchain extends Blockchain {
   static get BLOCK_PROPOSAL() { return BLOCK_PROPOSAL; }
   static get PREVOTE() { return PREVOTE; }
   static get PRECOMMIT() { return PRECOMMIT; }
   static get COMMIT() { return COMMIT; }
   static get NIL() { return NIL; }
+  static get REQUEST_BLOCK() { return REQUEST_BLOCK; }
+  static get PROVIDE_BLOCK() { return PROVIDE_BLOCK; }
+  static get SYNC_REQUEST() { return SYNC_REQUEST; }
+  static get SYNC_RESPONSE() { return SYNC_RESPONSE; }
+  static get STEP_PROPOSE() { return STEP_PROPOSE; }
+  static get STEP_PREVOTE() { return STEP_PREVOTE; }
+  static get STEP_PRECOMMIT() { return STEP_PRECOMMIT; }
+  static get STEP_COMMIT() { return STEP_COMMIT; }
+  static get SLASH_BURN() { return SLASH_BURN; }
+  static get SLASH_REPORTER() { return SLASH_REPORTER; }
+  static get SLASH_VALIDATORS() { return SLASH_VALIDATORS; }
 
   static get DELTA() { return Blockchain.cfg.delta; }
   static get COMMIT_TIME() { return Blockchain.cfg.commitTime; }
+  static get ADVANCE_EARLY() { return Blockchain.cfg.advanceEarly; }
+  static get SYNC_BATCH_SIZE() { return Blockchain.cfg.syncBatchSize; }
+  static get PROPOSER_BONUS() { return Blockchain.cfg.proposerBonus; }
+  static get REWARD_SIGNERS_ONLY() { return Blockchain.cfg.rewardSignersOnly; }
+  static get SLASHING_POLICY() { return Blockchain.cfg.slashing; }
+  static get EVIDENCE_MAX_AGE() { return Blockchain.cfg.evidenceMaxAge; }
+  static get UNSTAKE_DELAY() { return Blockchain.cfg.unstakeDelay; }
+  static get VALIDATOR_SET_DELAY() { return Blockchain.cfg.validatorSetDelay; }
+  static get MAX_BLOCK_TXS() { return Blockchain.cfg.maxBlockTxs; }
+  static get MAX_BLOCK_BYTES() { return Blockchain.cfg.maxBlockBytes; }
+  static get clock() { return Blockchain.cfg.clock; }
 
+  /**
+   * In addition to the settings for the parent method, the stake settings
+   * for the blockchain are specified here.
+   * 
+   * @param {Object} cfg - Settings for the blockchain.
+   * @param {number} [cfg.delta] - Base delay for each step of a round.
+   * @param {number} [cfg.commitTime] - Delay after committing before starting a new height.
+   * @param {Object} [cfg.timeouts] - Timeouts for the propose, prevote, precommit, and commit
+   *    steps, each given as { base, increment }.  The timeout in round r is
+   *    base + (r-1)*increment.  By default, both are set to delta.
+   * @param {boolean} [cfg.advanceEarly] - If true, a validator moves on to the next step
+   *    as soon as it has what it was waiting for, rather than waiting out the timeout.
+   * @param {number} [cfg.syncBatchSize] - Maximum number of blocks sent for a sync request.
+   * @param {number} [cfg.proposerBonus] - Fraction of the block rewards paid to the proposer.
+   * @param {boolean} [cfg.rewardSignersOnly] - If true, the rest of the block rewards are
+   *    only shared among validators whose commit votes are included in the next block.
+   * @param {Object} [cfg.slashing] - Slashing policy, with the fraction of stake seized for
+   *    doubleProposal, doublePrevote, doublePrecommit, and doubleCommit offenses, and the
+   *    destination of the seized gold (SLASH_BURN, SLASH_REPORTER, or SLASH_VALIDATORS).
+   *    Any settings not specified use the defaults.
+   * @param {number} [cfg.evidenceMaxAge] - Number of blocks after which evidence is refused.
+   * @param {number} [cfg.unstakeDelay] - Number of blocks before unbonded gold is released.
+   * @param {number} [cfg.validatorSetDelay] - Number of blocks before changes to the stake
+   *    change the validator set.  Must be at least 1.
+   * @param {number} [cfg.maxBlockTxs] - Maximum number of transactions in a block.
+   * @param {number} [cfg.maxBlockBytes] - Maximum total size of a block's transactions, in bytes.
+   * @param {Object} [cfg.clock] - Source of time, timers, and random numbers for the
+   *    validators and the simulated networks.  Defaults to the real clock.
+   * @param {Object} [cfg.startingStake] - Mapping of addresses to their starting stake.
+   * @param {Map} [cfg.startingStakeMap] - Mapping of clients to their starting stake.
+   * 
+   * @returns {StakeBlock} - The genesis block.
+   */
   static makeGenesis(cfg) {
+    // The clients are only given the genesis block once it is finished,
+    // since its ID depends on its timestamp, which is taken from the clock.
+    let parentCfg = cfg;
+    if (cfg.clientBalanceMap !== undefined && cfg.startingBalances === undefined) {
+      let startingBalances = {};
+      for (let [client, balance] of cfg.clientBalanceMap.entries()) {
+        startingBalances[client.address] = balance;
+      }
+      parentCfg = Object.assign({}, cfg, { clientBalanceMap: undefined, startingBalances });
+    }
+
     // Generating the default genesis block from the parent
-    let genesis = Blockchain.makeGenesis(cfg);
+    let genesis = Blockchain.makeGenesis(parentCfg);
+
+    Blockchain.cfg.clock = cfg.clock || REAL_CLOCK;
+    genesis.timestamp = Blockchain.cfg.clock.now();
 
     Blockchain.cfg.delta = cfg.delta || DELTA;
     Blockchain.cfg.commitTime = cfg.commitTime || COMMIT_TIME;
+    Blockchain.cfg.advanceEarly = !!cfg.advanceEarly;
+
+    let timeouts = cfg.timeouts || {};
+    Blockchain.cfg.timeouts = {};
+    [STEP_PROPOSE, STEP_PREVOTE, STEP_PRECOMMIT, STEP_COMMIT].forEach((step) => {
+      let t = Object.assign({ base: Blockchain.cfg.delta, increment: Blockchain.cfg.delta }, timeouts[step]);
+      if (typeof t.base !== 'number' || t.base < 0 || typeof t.increment !== 'number' || t.increment < 0) {
+        throw new Error(`Timeout settings for ${step} must be non-negative numbers.`);
+      }
+      Blockchain.cfg.timeouts[step] = t;
+    });
+    Blockchain.cfg.syncBatchSize = cfg.syncBatchSize || SYNC_BATCH_SIZE;
+    Blockchain.cfg.proposerBonus = cfg.proposerBonus !== undefined ? cfg.proposerBonus : PROPOSER_BONUS;
+    Blockchain.cfg.rewardSignersOnly = !!cfg.rewardSignersOnly;
+    Blockchain.cfg.slashing = Object.assign({}, SLASHING_POLICY, cfg.slashing);
+    Blockchain.cfg.evidenceMaxAge = cfg.evidenceMaxAge || EVIDENCE_MAX_AGE;
+    Blockchain.cfg.unstakeDelay = cfg.unstakeDelay || UNSTAKE_DELAY;
+    Blockchain.cfg.validatorSetDelay = cfg.validatorSetDelay || VALIDATOR_SET_DELAY;
+    Blockchain.cfg.maxBlockTxs = cfg.maxBlockTxs || MAX_BLOCK_TXS;
+    Blockchain.cfg.maxBlockBytes = cfg.maxBlockBytes || MAX_BLOCK_BYTES;
+
+    if (Blockchain.cfg.evidenceMaxAge >= Blockchain.cfg.unstakeDelay) {
+      throw new Error("The unstaking delay must be longer than the maximum age of evidence.");
+    } else if (!Number.isInteger(Blockchain.cfg.validatorSetDelay) || Blockchain.cfg.validatorSetDelay < 1) {
+      throw new Error("The validator set delay must be a positive integer.");
+    }
+
+    let slashing = Blockchain.cfg.slashing;
+    if (![SLASH_BURN, SLASH_REPORTER, SLASH_VALIDATORS].includes(slashing.destination)) {
+      throw new Error(`Unrecognized destination for slashed gold: ${slashing.destination}`);
+    }
+    ['doubleProposal', 'doublePrevote', 'doublePrecommit', 'doubleCommit'].forEach((offense) => {
+      let fraction = slashing[offense];
+      if (typeof fraction !== 'number' || fraction < 0 || fraction > 1) {
+        throw new Error(`Slashing fraction for ${offense} must be between 0 and 1.`);
+      }
+    });
 
     // Either startingStake or startingStakeMap must be specified, but not both.
     if (cfg.startingStake === undefined && cfg.startingStakeMap === undefined) {
@@ -50,6 +218,53 @@ module.exports = class StakeBlockchain extends Blockchain {
       genesis.accumPower.set(addr, startingStake[addr]);
     });
 
+    // The starting stake determines the first validator set.
+    let validators = new Map();
+    Object.keys(startingStake).sort().forEach((addr) => {
+      if (startingStake[addr] > 0) validators.set(addr, startingStake[addr]);
+    });
+    genesis.setValidatorSet(validators);
+    genesis.updateEvidenceRecords();
+
+    if (cfg.clientBalanceMap !== undefined) {
+      for (let client of cfg.clientBalanceMap.keys()) {
+        client.setGenesisBlock(genesis);
+      }
+    }
+
     return genesis;
   }
+
+  /**
+   * Returns how long a validator waits in the specified step of a round.
+   * 
+   * @param {String} step - One of STEP_PROPOSE, STEP_PREVOTE, STEP_PRECOMMIT, or STEP_COMMIT.
+   * @param {number} round - The current round, starting from 1.
+   * 
+   * @returns {number} - The timeout in milliseconds.
+   */
+  static timeout(step, round) {
+    let { base, increment } = Blockchain.cfg.timeouts[step];
+    return base + Math.max(round - 1, 0) * increment;
+  }
+
+  /**
+   * Extends the parent method to restore the validator set and the commit
+   * votes for the previous block, which are not known to the parent class.
+   * 
+   * @param {Object} o - An object representing a block, but not necessarily an instance of Block.
+   * 
+   * @returns {StakeBlock}
+   */
+  static deserializeBlock(o) {
+    let b = Blockchain.deserializeBlock(o);
+    if (b !== o && o.validators !== undefined) {
+      b.validators = new Map(o.validators);
+      b.totalPower = o.totalPower;
+    }
+    if (b !== o && o.lastCommit !== undefined) {
+      b.lastCommit = o.lastCommit;
+    }
+    return b;
+  }
 };
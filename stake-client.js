@@ -2,6 +2,7 @@
 
 const { Client } = require('spartan-gold');
 
+const StakeBlockchain = require('./stake-blockchain.js');
 const StakeMixin = require('./stake-mixin.js');
 
 module.exports = class StakeClient extends Client {
@@ -21,8 +22,19 @@ module.exports = class StakeClient extends Client {
    * currently locked.
    */
   get availableGold() {
-    return super.availableGold - this.amountGoldStaked();
+    return super.availableGold - this.amountGoldLocked();
   }
 
+  /**
+   * Blocks are deserialized with StakeBlockchain, so that
+   * any stake-specific fields are restored.
+   * 
+   * @param {Block | Object} block - The block to add to the clients list of available blocks.
+   * 
+   * @returns {Block | null} The block with rerun transactions, or null for an invalid block.
+   */
+  receiveBlock(block) {
+    return super.receiveBlock(StakeBlockchain.deserializeBlock(block));
+  }
 
 };
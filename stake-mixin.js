@@ -12,6 +12,14 @@ module.exports = {
     return this.lastConfirmedBlock.amountGoldStaked(this.address);
   },
 
+  /**
+   * Returns the amount of gold that cannot be spent, including
+   * gold that has been unstaked but not yet released.
+   */
+  amountGoldLocked: function() {
+    return this.lastConfirmedBlock.amountGoldLocked(this.address);
+  },
+
   /**
    * Utility method that displays all confirmed balances for all clients,
    * according to the client's own perspective of the network.
@@ -19,7 +27,9 @@ module.exports = {
   showAllBalances: function() {
     this.log("Showing balances:");
     for (let [id,balance] of this.lastConfirmedBlock.balances) {
-      console.log(`    ${id}: ${balance} (${this.lastConfirmedBlock.amountGoldStaked(id)} staked)`);
+      let staked = this.lastConfirmedBlock.amountGoldStaked(id);
+      let unbonding = this.lastConfirmedBlock.amountGoldUnbonding(id);
+      console.log(`    ${id}: ${balance} (${staked} staked, ${unbonding} unbonding)`);
     }
   },
 
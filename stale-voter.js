@@ -0,0 +1,44 @@
+"use strict";
+
+const Validator = require('./validator.js');
+const Vote = require('./vote.js');
+
+// Number of old votes resent at the start of every round.
+const SPAM_COUNT = 20;
+
+/**
+ * This class votes normally, but at the start of every round, it also
+ * resends the votes that it signed at earlier heights.  The votes are
+ * correctly signed, so they are not evidence of Byzantine behavior, but
+ * every other validator must check them and log that they are stale.
+ */
+module.exports = class StaleVoter extends Validator {
+
+  /**
+   * @param {Object} obj - The properties of the validator.
+   * @param {number} [obj.spamCount] - Number of old votes resent each round.
+   */
+  constructor(...args) {
+    super(...args);
+    let { spamCount=SPAM_COUNT } = args[0] || {};
+    this.spamCount = spamCount;
+    this.oldVotes = [];
+  }
+
+  broadcastSigned(msgType, message) {
+    message = super.broadcastSigned(msgType, message);
+    if (message instanceof Vote) {
+      this.oldVotes.push({ msgType, message });
+      if (this.oldVotes.length > this.spamCount) this.oldVotes.shift();
+    }
+    return message;
+  }
+
+  newRound() {
+    super.newRound();
+    this.oldVotes.forEach(({ msgType, message }) => {
+      if (message.height < this.height) this.net.broadcast(msgType, message);
+    });
+  }
+
+};
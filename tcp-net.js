@@ -0,0 +1,286 @@
+"use strict";
+
+const net = require('net');
+const crypto = require('crypto');
+
+const { FakeNet, utils } = require('spartan-gold');
+
+// Messages used to set up a connection between peers.
+const CHALLENGE = "CHALLENGE";
+const HELLO = "HELLO";
+
+// Delays (in milliseconds) before trying to reconnect to a peer.  The delay
+// doubles after every failed attempt, up to the maximum.
+const RECONNECT_DELAY = 100;
+const MAX_RECONNECT_DELAY = 10000;
+
+// Limits to keep a misbehaving or unreachable peer from using up our memory.
+const MAX_FRAME_SIZE = 16 * 1024 * 1024;
+const MAX_QUEUED_MESSAGES = 1000;
+
+/**
+ * A network of miners that actually communicate over TCP.
+ *
+ * Each pair of peers shares a long-lived connection, which is used for
+ * messages in both directions.  Messages are sent as JSON, one message
+ * per line, so that a message split across several TCP packets (or several
+ * messages in one packet) can be put back together by the receiver.
+ *
+ * When a connection is opened, each side sends a random challenge, which
+ * the other side must sign.  A peer is only accepted if its address matches
+ * its public key and its signature is valid, so a peer cannot pretend to be
+ * another validator.
+ *
+ * If a connection is lost, messages for the peer are queued while we try
+ * to reconnect, backing off after each failed attempt.
+ *
+ * Local clients (including the miner that owns the network) may still be
+ * registered, as with FakeNet, and receive their messages directly.
+ */
+module.exports = class TcpNet extends FakeNet {
+
+  static get CHALLENGE() { return CHALLENGE; }
+  static get HELLO() { return HELLO; }
+
+  /**
+   * @param {Object} connection - Host name and port that the owner listens on.
+   */
+  constructor(connection) {
+    super();
+    this.connection = connection;
+
+    // Peers that have completed the handshake:  address -> peer
+    // where a peer has its name, connection, socket, and queued messages.
+    this.peers = new Map();
+
+    // Connections that we are trying to open:  "host:port" -> retry delay
+    this.dialing = new Map();
+
+    this.sockets = new Set();
+    this.closed = false;
+  }
+
+  /**
+   * Starts listening for connections from other miners.
+   *
+   * @param {Client} owner - The miner using this network, which signs the
+   *    handshake and receives messages from peers.
+   * @param {Function} [onPeerConnected] - Called with the address and
+   *    connection details of each peer, once its handshake completes.
+   */
+  start(owner, onPeerConnected) {
+    this.owner = owner;
+    this.onPeerConnected = onPeerConnected;
+    this.register(owner);
+
+    this.server = net.createServer((socket) => {
+      this.owner.log(`Received connection from ${socket.remoteAddress}:${socket.remotePort}`);
+      this.setUpSocket(socket);
+    });
+    this.server.listen(this.connection.port);
+  }
+
+  /**
+   * Opens a connection to another miner, trying again if the connection
+   * cannot be made or is lost before the handshake completes.
+   *
+   * @param {Object} connection - Host name and port of the other miner.
+   */
+  connect(connection) {
+    let key = `${connection.hostname || 'localhost'}:${connection.port}`;
+    if (this.closed || this.dialing.has(key)) return;
+    this.dialing.set(key, RECONNECT_DELAY);
+
+    let dial = () => {
+      if (this.closed) return;
+      let socket = net.connect({ host: connection.hostname, port: connection.port });
+      this.setUpSocket(socket, () => this.dialing.delete(key));
+      socket.on('close', () => {
+        if (!this.dialing.has(key)) return;
+        let delay = this.dialing.get(key);
+        this.dialing.set(key, Math.min(2 * delay, MAX_RECONNECT_DELAY));
+        setTimeout(dial, delay);
+      });
+    };
+    dial();
+  }
+
+  /**
+   * Sets up the handshake and framing for a new connection.
+   *
+   * @param {net.Socket} socket - The connection.
+   * @param {Function} [onAccepted] - Called once the handshake succeeds.
+   */
+  setUpSocket(socket, onAccepted) {
+    this.sockets.add(socket);
+    let nonce = crypto.randomBytes(32).toString('hex');
+    let peerAddress;
+
+    let onConnected = () => this.writeFrame(socket, CHALLENGE, { nonce });
+    if (socket.connecting) socket.on('connect', onConnected);
+    else onConnected();
+
+    socket.setEncoding('utf8');
+    let buffer = "";
+    socket.on('data', (data) => {
+      buffer += data;
+      let lines = buffer.split("\n");
+      buffer = lines.pop();
+      if (buffer.length > MAX_FRAME_SIZE) {
+        this.owner.log(`Message from ${peerAddress} is too large; closing connection.`);
+        socket.destroy();
+        return;
+      }
+
+      for (let line of lines) {
+        if (line === "" || socket.destroyed) continue;
+        let frame;
+        try {
+          frame = JSON.parse(line);
+        } catch (e) {
+          this.owner.log(`Unreadable message from ${peerAddress}; closing connection.`);
+          socket.destroy();
+          return;
+        }
+
+        let { msg, o } = frame;
+        if (msg === CHALLENGE) {
+          if (!o || typeof o.nonce !== 'string') continue;
+          this.writeFrame(socket, HELLO, {
+            name: this.owner.name,
+            address: this.owner.address,
+            pubKey: this.owner.keyPair.public,
+            connection: this.connection,
+            sig: utils.sign(this.owner.keyPair.private, o.nonce),
+          });
+        } else if (msg === HELLO) {
+          if (!this.isValidHello(o, nonce)) {
+            this.owner.log(`Rejecting peer claiming to be ${o && o.address}.`);
+            socket.destroy();
+            return;
+          }
+          peerAddress = o.address;
+          this.addPeer(o, socket);
+          if (onAccepted !== undefined) onAccepted();
+        } else if (peerAddress !== undefined) {
+          this.owner.emit(msg, o);
+        }
+      }
+    });
+
+    socket.on('error', (err) => {
+      this.owner.log(`Connection error${peerAddress ? ` with ${peerAddress}` : ''}: ${err.message}`);
+    });
+
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      let peer = this.peers.get(peerAddress);
+      if (this.closed || peer === undefined || peer.socket !== socket) return;
+
+      // If this was the connection in use, we reconnect to the peer,
+      // as long as we know where it listens.
+      this.owner.log(`Lost connection to ${peer.name}.`);
+      delete peer.socket;
+      if (peer.connection !== undefined) this.connect(peer.connection);
+    });
+  }
+
+  /**
+   * Checks a peer's response to our challenge.
+   *
+   * @param {Object} hello - The peer's name, address, public key, connection
+   *    details, and signature.
+   * @param {String} nonce - The challenge that we sent.
+   *
+   * @returns {boolean} - True if the peer proved that it owns the address,
+   *    and told us where it listens for connections.
+   */
+  isValidHello(hello, nonce) {
+    if (!hello || typeof hello.pubKey !== 'string' || typeof hello.sig !== 'string') return false;
+    let connection = hello.connection;
+    if (!connection || typeof connection !== 'object' || typeof connection.port !== 'number') return false;
+    if (connection.hostname !== undefined && typeof connection.hostname !== 'string') return false;
+    if (hello.address === this.owner.address) return false;
+    if (!utils.addressMatchesKey(hello.address, hello.pubKey)) return false;
+    try {
+      return utils.verifySignature(hello.pubKey, nonce, hello.sig);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Records a peer that has completed the handshake, and sends
+   * any messages that were queued while it was unreachable.
+   *
+   * @param {Object} hello - The peer's handshake.
+   * @param {net.Socket} socket - Connection to the peer.
+   */
+  addPeer({ name, address, connection }, socket) {
+    let peer = this.peers.get(address);
+    if (peer === undefined) {
+      peer = { name, address, queue: [] };
+      this.peers.set(address, peer);
+      this.clients.set(address, peer);
+      this.owner.log(`Connected to ${name} (${address}).`);
+    }
+    peer.connection = connection;
+    peer.socket = socket;
+    if (this.onPeerConnected !== undefined) {
+      this.onPeerConnected({ address, connection });
+    }
+
+    let queue = peer.queue;
+    peer.queue = [];
+    queue.forEach(({ msg, o }) => this.writeFrame(socket, msg, o));
+  }
+
+  /**
+   * Sends a message to a peer, or queues it if the peer is not
+   * connected.  Messages to local clients are delivered directly.
+   * Messages for nodes that we have never connected to are dropped.
+   *
+   * @param {String} address - the public key address of the client or miner to which to send the message
+   * @param {String} msg - the name of the event being broadcasted (e.g. "PROOF_FOUND")
+   * @param {Object} o - payload of the message
+   */
+  sendMessage(address, msg, o) {
+    let peer = this.peers.get(address);
+    if (!this.clients.has(address)) {
+      this.owner.log(`No connection to ${address}; dropping ${msg} message.`);
+    } else if (peer === undefined) {
+      super.sendMessage(address, msg, o);
+    } else if (peer.socket !== undefined) {
+      this.writeFrame(peer.socket, msg, o);
+    } else {
+      peer.queue.push({ msg, o: JSON.parse(JSON.stringify(o)) });
+      if (peer.queue.length > MAX_QUEUED_MESSAGES) peer.queue.shift();
+    }
+  }
+
+  /**
+   * Writes a single message to the connection, ending with a newline.
+   */
+  writeFrame(socket, msg, o) {
+    if (socket.destroyed) return;
+    socket.write(JSON.stringify({ msg, o }) + "\n");
+  }
+
+  /**
+   * Returns the connection details of every peer that we know of.
+   */
+  peerConnections() {
+    return Array.from(this.peers.values()).map((peer) => peer.connection);
+  }
+
+  /**
+   * Closes all connections and stops listening.
+   */
+  close() {
+    this.closed = true;
+    this.dialing.clear();
+    if (this.server !== undefined) this.server.close();
+    this.sockets.forEach((socket) => socket.destroy());
+  }
+
+};
@@ -1,62 +1,33 @@
-const net = require('net');
 const readline = require('readline');
 const { readFileSync, writeFileSync } = require('fs');
 
-const { FakeNet, Transaction } = require('spartan-gold');
+const { Transaction } = require('spartan-gold');
 
 // Variants used for staking
 const Validator = require('./validator.js');
 const StakeBlock = require('./stake-block.js');
 const StakeBlockchain = require('./stake-blockchain.js');
-
-/**
- * This extends the FakeNet class to actually communicate over the network.
- */
-class TcpNet extends FakeNet {
-  sendMessage(address, msg, o) {
-    if (typeof o === 'string') o = JSON.parse(o);
-    let data = {msg, o};
-    const client = this.clients.get(address);
-    let clientConnection = net.connect(client.connection, () => {
-      clientConnection.write(JSON.stringify(data));
-    });
-  }
-
-}
+const BlockStore = require('./block-store.js');
+const TcpNet = require('./tcp-net.js');
+const GossipNet = require('./gossip-net.js');
 
 /**
  * Provides a command line interface for a SpartanGold miner
  * that will actually communicate over the network.
  */
 class TcpMiner extends Validator {
-  static get REGISTER() { return "REGISTER"; }
 
   /**
    * In addition to the usual properties for a miner, the constructor
-   * also takes a JSON object for the connection information and sets
-   * up a listener to listen for incoming connections.
+   * also takes a JSON object for the connection information, which
+   * is where the miner listens for connections from other miners (see
+   * tcp-net.js).  Messages are gossiped to the miner's peers (see
+   * gossip-net.js).  The miner's write-ahead log is stored in walFile.
    */
-  constructor({name, startingBlock, miningRounds, keyPair, connection} = {}) {
-    super({name, net: new TcpNet(), startingBlock, keyPair, miningRounds});
-
-    // Setting up the server to listen for connections
+  constructor({name, startingBlock, miningRounds, keyPair, connection, walFile} = {}) {
+    let net = new GossipNet(new TcpNet(connection));
+    super({name, net, startingBlock, keyPair, miningRounds, walFile});
     this.connection = connection;
-    this.srvr = net.createServer();
-    this.srvr.on('connection', (client) => {
-      this.log('Received connection');
-      client.on('data', (data) => {
-        let {msg, o} = JSON.parse(data);
-        if (msg === TcpMiner.REGISTER) {
-          if (!this.net.recognizes(o)) {
-            this.registerWith(o.connection);
-          }
-          this.log(`Registering ${JSON.stringify(o)}`);
-          this.net.register(o);
-        } else {
-          this.emit(msg, o);
-        }
-      });
-    });
   }
 
   /**
@@ -66,17 +37,47 @@ class TcpMiner extends Validator {
    */
   registerWith(minerConnection) {
     this.log(`Connection: ${JSON.stringify(minerConnection)}`);
-    let conn = net.connect(minerConnection, () => {
-      let data = {
-        msg: TcpMiner.REGISTER,
-        o: {
-          name: this.name,
-          address: this.address,
-          connection: this.connection,
-        }
-      };
-      conn.write(JSON.stringify(data));
-    });
+    this.net.connect(minerConnection);
+  }
+
+  /**
+   * Restores the blockchain from the block store, beginning with the latest
+   * snapshot (or the genesis block, if the store is empty) and then replaying
+   * the blocks after it.  From then on, every block that the miner accepts
+   * is written to the store.
+   * 
+   * @param {BlockStore} blockStore - The miner's block store.
+   * @param {StakeBlock} genesis - The genesis block, used if the store is empty.
+   */
+  openBlockStore(blockStore, genesis) {
+    let { snapshot, blocks } = blockStore.load();
+    if (snapshot === undefined) {
+      snapshot = genesis;
+      blockStore.saveSnapshot(genesis);
+    }
+
+    this.setGenesisBlock(snapshot);
+    blocks.forEach((block) => this.receiveBlock(block));
+    this.log(`Restored chain to height ${this.lastBlock.chainLength} from ${blockStore.dirName}.`);
+
+    this.blockStore = blockStore;
+  }
+
+  /**
+   * Newly accepted blocks are also written to the block store.
+   * 
+   * @param {Block | Object} s - The block
+   */
+  receiveBlock(s) {
+    let block = StakeBlockchain.deserializeBlock(s);
+    let isNew = !this.blocks.has(block.id);
+
+    let result = super.receiveBlock(block);
+
+    if (isNew && this.blocks.has(block.id) && this.blockStore !== undefined) {
+      this.blockStore.appendBlock(block);
+    }
+    return result;
   }
 
   /**
@@ -85,7 +86,7 @@ class TcpMiner extends Validator {
   initialize(knownMinerConnections) {
     this.knownMiners = knownMinerConnections;
     super.initialize();
-    this.srvr.listen(this.connection.port);
+    this.net.start(this);
     for (let m of knownMinerConnections) {
       this.registerWith(m);
     }
@@ -108,6 +109,9 @@ class TcpMiner extends Validator {
       connection: this.connection,
       keyPair: this.keyPair,
       knownMiners: this.knownMiners,
+      walFile: this.wal.fileName,
+      chainDir: this.blockStore.dirName,
+      snapshotInterval: this.blockStore.snapshotInterval,
     };
     writeFileSync(fileName, JSON.stringify(state));
   }
@@ -136,7 +140,12 @@ let genesis = StakeBlockchain.makeGenesis({
 });
 
 console.log(`Starting ${name}`);
-let minnie = new TcpMiner({name: name, keyPair: config.keyPair, connection: config.connection, startingBlock: genesis});
+let minnie = new TcpMiner({name: name, keyPair: config.keyPair, connection: config.connection,
+  walFile: config.walFile || `${name}.wal`});
+
+// Picking up where we left off, if the chain was saved earlier.
+let blockStore = new BlockStore(config.chainDir || `${name}.chain`, config.snapshotInterval);
+minnie.openBlockStore(blockStore, genesis);
 
 // Silencing the logging messages
 minnie.log = function(){};
@@ -0,0 +1,62 @@
+"use strict";
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BlockStore = require('../block-store.js');
+
+const { makeNetwork, runUntilHeight, chainOf } = require('./helpers.js');
+
+describe('BlockStore', function() {
+  this.timeout(60000);
+
+  let dirName = path.join(os.tmpdir(), `block-store-${process.pid}`);
+  let chain;
+
+  before(() => {
+    let { clock, validators } = makeNetwork({
+      validators: [
+        { name: "Minnie", balance: 400, stake: 200 },
+        { name: "Mickey", balance: 300, stake: 99 },
+        { name: "Goofy", balance: 200, stake: 54 },
+      ],
+      clients: [{ name: "Alice", balance: 100 }],
+      net: { messageDelay: 100 },
+    });
+    assert.isTrue(runUntilHeight(clock, validators, 5));
+    chain = chainOf(validators[0]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dirName, { recursive: true, force: true });
+  });
+
+  describe('.load', () => {
+    it('should restore the latest snapshot and the blocks after it', () => {
+      let store = new BlockStore(dirName, 2);
+      chain.slice(1, 6).forEach((block) => store.appendBlock(block));
+
+      let { snapshot, blocks } = new BlockStore(dirName, 2).load();
+      assert.equal(snapshot.id, chain[4].id);
+      assert.deepEqual(JSON.parse(JSON.stringify(snapshot.getState())),
+        JSON.parse(JSON.stringify(chain[4].getState())));
+
+      assert.deepEqual(blocks.map((block) => block.id), [chain[5].id]);
+      assert.isTrue(blocks[0].rerun(snapshot));
+      assert.deepEqual(Array.from(blocks[0].balances), Array.from(chain[5].balances));
+      assert.deepEqual(Array.from(blocks[0].stakeBalances), Array.from(chain[5].stakeBalances));
+    });
+
+    it('should ignore a block that was only partly written', () => {
+      let store = new BlockStore(dirName, 4);
+      chain.slice(1, 5).forEach((block) => store.appendBlock(block));
+      fs.appendFileSync(store.blocksFile, JSON.stringify(chain[5]).slice(0, 100));
+
+      let { snapshot, blocks } = store.load();
+      assert.equal(snapshot.id, chain[4].id);
+      assert.deepEqual(blocks, []);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const StakeBlockchain = require('../stake-blockchain.js');
+const AmnesiacValidator = require('../amnesiac-validator.js');
+const ByzantineCommitter = require('../byzantine-committer.js');
+const ByzantinePrecommitter = require('../byzantine-precommitter.js');
+const ByzantineProposer = require('../byzantine-proposer.js');
+const ByzantineVoter = require('../byzantine-voter.js');
+const Coalition = require('../coalition.js');
+const CoalitionValidator = require('../coalition-validator.js');
+const ForgingValidator = require('../forging-validator.js');
+const SilentValidator = require('../silent-validator.js');
+const StaleVoter = require('../stale-voter.js');
+const WithholdingProposer = require('../withholding-proposer.js');
+
+const {
+  makeNetwork,
+  runUntilHeight,
+  chainOf,
+  conflictingHeights,
+  totalGold,
+  expectedGold,
+} = require('./helpers.js');
+
+const TARGET_HEIGHT = 6;
+
+// Seeds for scenarios with random message loss, so that each
+// scenario is checked against a few different runs.
+const SEEDS = [1, 2, 3];
+
+const CLIENTS = [
+  { name: "Alice", balance: 233 },
+  { name: "Bob", balance: 99 },
+];
+
+// The Byzantine validator (if any) is Donald, who has less than 1/3 of the stake.
+function validators(byzantineClass) {
+  return [
+    { name: "Minnie", balance: 400, stake: 200 },
+    { name: "Mickey", balance: 300, stake: 99 },
+    { name: "Goofy", balance: 200, stake: 54 },
+    { name: "Donald", balance: 500, stake: 80, cls: byzantineClass },
+  ];
+}
+
+/**
+ * Checks the invariants that hold for every run:  no two honest validators
+ * commit different blocks at the same height, and no gold is created or
+ * destroyed, other than the coinbase rewards.
+ */
+function checkInvariants(honest) {
+  assert.deepEqual(conflictingHeights(honest), [], "Honest validators committed conflicting blocks");
+  honest.forEach((v) => {
+    assert.equal(totalGold(v.lastBlock), expectedGold(v), `Total supply changed for ${v.name}`);
+  });
+}
+
+describe('Consensus', function() {
+  this.timeout(60000);
+
+  describe('with honest validators on a synchronous network', () => {
+    let network;
+    before(() => {
+      network = makeNetwork({
+        validators: validators(),
+        clients: CLIENTS,
+        net: { messageDelay: 100 },
+      });
+      let { nodes } = network;
+      nodes.Alice.postTransaction([{ amount: 40, address: nodes.Bob.address }]);
+    });
+
+    it('should reach the target height', () => {
+      assert.isTrue(runUntilHeight(network.clock, network.validators, TARGET_HEIGHT));
+    });
+
+    it('should not commit conflicting blocks or change the supply', () => {
+      checkInvariants(network.validators);
+    });
+
+    it('should include the transfer', () => {
+      let { nodes } = network;
+      network.validators.forEach((v) => {
+        assert.equal(v.lastBlock.balanceOf(nodes.Bob.address), 139);
+        assert.equal(v.lastBlock.balanceOf(nodes.Alice.address), 192);
+      });
+    });
+
+    it('should have a commit certificate for every block', () => {
+      let chain = chainOf(network.validators[0]);
+      for (let height = 1; height < chain.length; height++) {
+        assert.isTrue(chain[height].hasValidProof(chain[height-1]), `No valid proof at height ${height}`);
+      }
+    });
+  });
+
+  describe('with a lossy network', () => {
+    SEEDS.forEach((seed) => {
+      it(`should reach the target height without conflicts (seed ${seed})`, () => {
+        let network = makeNetwork({
+          seed,
+          validators: validators(),
+          net: { chanceMessageFails: 0.1, messageDelay: 500, duplicateChance: 0.05, reorder: { chance: 0.1, delay: 500 } },
+        });
+        assert.isTrue(runUntilHeight(network.clock, network.validators, TARGET_HEIGHT));
+        checkInvariants(network.validators);
+      });
+    });
+  });
+
+  describe('with a partition that leaves no group with 2/3 of the stake', () => {
+    let network;
+    let heightAtHeal;
+    before(() => {
+      network = makeNetwork({
+        validators: validators(),
+        net: {
+          messageDelay: 100,
+          partitions: [{ start: 5000, end: 30000, groups: [["Minnie", "Goofy"], ["Mickey", "Donald"]] }],
+        },
+      });
+    });
+
+    it('should not commit conflicting blocks during the partition', () => {
+      let { clock } = network;
+      clock.run({ until: 15000 });
+      let heightMidway = Math.max(...network.validators.map((v) => v.lastBlock.chainLength));
+      clock.run({ until: 29000 });
+      heightAtHeal = Math.max(...network.validators.map((v) => v.lastBlock.chainLength));
+      assert.equal(heightAtHeal, heightMidway, "The chain grew without 2/3 of the stake");
+      checkInvariants(network.validators);
+    });
+
+    it('should make progress once the partition heals', () => {
+      assert.isTrue(runUntilHeight(network.clock, network.validators, heightAtHeal + 3));
+      checkInvariants(network.validators);
+    });
+  });
+
+  [
+    ['ByzantineProposer', ByzantineProposer],
+    ['ByzantineVoter', ByzantineVoter],
+    ['ByzantinePrecommitter', ByzantinePrecommitter],
+    ['ByzantineCommitter', ByzantineCommitter],
+  ].forEach(([name, cls]) => {
+    describe(`with a ${name}`, () => {
+      let network, honest;
+      before(() => {
+        network = makeNetwork({
+          validators: validators(cls),
+          clients: CLIENTS,
+          net: { messageDelay: 100 },
+          // Paying the seized gold to the reporter, so that none is lost to rounding.
+          cfg: { slashing: { destination: StakeBlockchain.SLASH_REPORTER } },
+        });
+        honest = network.validators.filter((v) => !(v instanceof cls));
+      });
+
+      it('should still reach the target height', () => {
+        assert.isTrue(runUntilHeight(network.clock, honest, TARGET_HEIGHT));
+      });
+
+      it('should not commit conflicting blocks or change the supply', () => {
+        checkInvariants(honest);
+      });
+
+      it('should slash the cheater', () => {
+        let cheater = network.nodes.Donald;
+        honest.forEach((v) => {
+          assert.isAbove(v.lastBlock.punishments.size, 0, `${v.name} recorded no punishments`);
+          assert.equal(v.lastBlock.amountGoldStaked(cheater.address), 0);
+          assert.isFalse(v.lastBlock.validators.has(cheater.address), "The cheater is still a validator");
+        });
+      });
+    });
+  });
+
+  // Under the other slashing policies, some of the seized gold is destroyed.
+  describe('with the seized gold burned or shared among the validators', () => {
+    function runWithSlashing(cfg) {
+      let network = makeNetwork({
+        validators: validators(ByzantineVoter),
+        clients: CLIENTS,
+        net: { messageDelay: 100 },
+        cfg: cfg,
+      });
+      let honest = network.validators.filter((v) => !(v instanceof ByzantineVoter));
+      assert.isTrue(runUntilHeight(network.clock, honest, TARGET_HEIGHT));
+      assert.deepEqual(conflictingHeights(honest), []);
+      return { cheater: network.nodes.Donald, honest };
+    }
+
+    it('should reduce the supply by exactly the gold seized when it is burned', () => {
+      let { cheater, honest } = runWithSlashing({ slashing: { destination: StakeBlockchain.SLASH_BURN } });
+      honest.forEach((v) => {
+        assert.equal(v.lastBlock.amountGoldStaked(cheater.address), 0);
+        assert.equal(totalGold(v.lastBlock), expectedGold(v) - validators()[3].stake,
+          `Total supply for ${v.name} did not go down by the stake seized`);
+      });
+    });
+
+    it('should only lose gold to rounding when it is shared (the default)', () => {
+      let { honest } = runWithSlashing({});
+      honest.forEach((v) => {
+        // Each share is rounded down, losing less than 1 gold per validator.
+        let lost = expectedGold(v) - totalGold(v.lastBlock);
+        assert.isAtLeast(lost, 0, `Total supply went up for ${v.name}`);
+        assert.isBelow(lost, v.lastBlock.punishments.size * validators().length,
+          `Total supply for ${v.name} went down by more than rounding`);
+      });
+    });
+  });
+
+  describe('with a coalition of Byzantine validators', () => {
+    let network, honest;
+    before(() => {
+      let coalition = new Coalition();
+      let specs = validators();
+      specs[2].cls = specs[3].cls = CoalitionValidator;
+      specs[2].settings = specs[3].settings = { coalition };
+      network = makeNetwork({
+        validators: specs,
+        net: { messageDelay: 100 },
+        cfg: { slashing: { destination: StakeBlockchain.SLASH_REPORTER } },
+      });
+      honest = network.validators.filter((v) => !(v instanceof CoalitionValidator));
+    });
+
+    it('should still reach the target height without conflicts', () => {
+      assert.isTrue(runUntilHeight(network.clock, honest, TARGET_HEIGHT));
+      checkInvariants(honest);
+    });
+
+    it('should slash every member', () => {
+      let { Goofy, Donald } = network.nodes;
+      honest.forEach((v) => {
+        assert.equal(v.lastBlock.amountGoldStaked(Goofy.address), 0);
+        assert.equal(v.lastBlock.amountGoldStaked(Donald.address), 0);
+      });
+    });
+  });
+
+  // Faulty behavior that cannot be proven with evidence.
+  [
+    ['AmnesiacValidator', AmnesiacValidator],
+    ['SilentValidator', SilentValidator],
+    ['WithholdingProposer', WithholdingProposer],
+    ['ForgingValidator', ForgingValidator],
+    ['StaleVoter', StaleVoter],
+  ].forEach(([name, cls]) => {
+    describe(`with a ${name}`, () => {
+      let network, honest;
+      before(() => {
+        network = makeNetwork({
+          validators: validators(cls),
+          net: { chanceMessageFails: 0.05, messageDelay: 200 },
+        });
+        honest = network.validators.filter((v) => !(v instanceof cls));
+      });
+
+      it('should still reach the target height without conflicts', () => {
+        assert.isTrue(runUntilHeight(network.clock, honest, TARGET_HEIGHT));
+        checkInvariants(honest);
+      });
+
+      it('should not slash anyone', () => {
+        honest.forEach((v) => assert.equal(v.lastBlock.punishments.size, 0));
+      });
+    });
+  });
+
+  describe('with a simulated clock', () => {
+    function lastBlockID(seed) {
+      let network = makeNetwork({
+        seed,
+        validators: validators(),
+        net: { chanceMessageFails: 0.1, messageDelay: 500 },
+      });
+      runUntilHeight(network.clock, network.validators, TARGET_HEIGHT);
+      return network.validators[0].lastBlock.id;
+    }
+
+    it('should produce the same chain from the same seed', () => {
+      assert.equal(lastBlockID(5), lastBlockID(5));
+    });
+  });
+});
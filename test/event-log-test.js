@@ -0,0 +1,96 @@
+"use strict";
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ConsensusMetrics = require('../consensus-metrics.js');
+const EventLog = require('../event-log.js');
+const Scenario = require('../scenario.js');
+
+describe('EventLog', () => {
+  it('should write events as JSON lines that can be read back', () => {
+    let fileName = path.join(os.tmpdir(), `events-${process.pid}.jsonl`);
+    try {
+      let log = new EventLog(fileName);
+      log.record({ time: 0, type: EventLog.ROUND_STARTED, validator: "Minnie", height: 1, round: 1 });
+      log.record({ time: 5, type: EventLog.COMMITTED, validator: "Minnie", height: 1, round: 1, blockHeight: 1 });
+      assert.deepEqual(EventLog.readFile(fileName), log.events);
+
+      // A new log replaces the old file.
+      new EventLog(fileName);
+      assert.deepEqual(EventLog.readFile(fileName), []);
+    } finally {
+      if (fs.existsSync(fileName)) fs.unlinkSync(fileName);
+    }
+  });
+
+  it('should record the events of a run', () => {
+    let scenario = new Scenario({
+      quiet: true,
+      commitTime: 1000,
+      net: { messageDelay: 100 },
+      validators: [
+        { name: "Minnie", balance: 400, stake: 200 },
+        { name: "Mickey", balance: 300, stake: 99 },
+        { name: "Goofy", balance: 200, stake: 54 },
+        { name: "Donald", balance: 500, stake: 80, class: "ByzantineVoter" },
+      ],
+      stop: { height: 4 },
+    });
+    let { metrics } = scenario.run();
+    let types = new Set(scenario.eventLog.events.map((event) => event.type));
+    [EventLog.ROUND_STARTED, EventLog.PROPOSER_CHOSEN, EventLog.PROPOSAL_SENT, EventLog.PROPOSAL_RECEIVED,
+      EventLog.VOTE_CAST, EventLog.VOTE_COUNTED, EventLog.LOCKED, EventLog.COMMITTED,
+      EventLog.EVIDENCE_POSTED, EventLog.SLASHED].forEach((type) => assert.isTrue(types.has(type), type));
+
+    assert.isAtLeast(metrics.heights, 4);
+    assert.isAtLeast(metrics.slashings, 1);
+    assert.isAbove(metrics.timeToFinality.mean, 0);
+  });
+});
+
+describe('ConsensusMetrics', () => {
+  // Two validators deciding heights 1 and 2, with height 2 taking two rounds.
+  let events = [
+    { time: 0, type: EventLog.ROUND_STARTED, address: "a", height: 1, round: 1 },
+    { time: 10, type: EventLog.ROUND_STARTED, address: "b", height: 1, round: 1 },
+    { time: 10, type: EventLog.PROPOSAL_SENT, address: "a", msgHeight: 1 },
+    { time: 20, type: EventLog.VOTE_CAST, address: "a", from: "a", voteID: "v1", msgHeight: 1 },
+    { time: 50, type: EventLog.VOTE_COUNTED, address: "b", from: "a", voteID: "v1", msgHeight: 1 },
+    { time: 25, type: EventLog.VOTE_COUNTED, address: "a", from: "a", voteID: "v1", msgHeight: 1 },
+    { time: 90, type: EventLog.COMMITTED, address: "b", blockHeight: 1 },
+    { time: 100, type: EventLog.COMMITTED, address: "a", blockHeight: 1 },
+    { time: 100, type: EventLog.ROUND_STARTED, address: "a", height: 2, round: 1 },
+    { time: 200, type: EventLog.ROUND_STARTED, address: "a", height: 2, round: 2 },
+    { time: 210, type: EventLog.VOTE_CAST, address: "b", from: "b", voteID: "v2", msgHeight: 2 },
+    { time: 220, type: EventLog.VOTE_COUNTED, address: "a", from: "b", voteID: "v2", msgHeight: 2 },
+    { time: 300, type: EventLog.COMMITTED, address: "a", blockHeight: 2 },
+    { time: 300, type: EventLog.ROUND_STARTED, address: "a", height: 3, round: 1 },
+  ];
+
+  it('should measure each committed height from its first round to its first commit', () => {
+    let heights = new ConsensusMetrics(events).heights();
+    assert.deepEqual(Array.from(heights.keys()), [1, 2]);
+    assert.include(heights.get(1), { rounds: 1, timeToFinality: 90, messages: 2 });
+    assert.include(heights.get(2), { rounds: 2, timeToFinality: 200, messages: 1 });
+  });
+
+  it('should summarize the run', () => {
+    let summary = new ConsensusMetrics(events).summary();
+    assert.equal(summary.heights, 2);
+    assert.deepEqual(summary.roundsPerHeight, { count: 2, mean: 1.5, min: 1, max: 2 });
+    assert.deepEqual(summary.voteLatency, { count: 2, mean: 20, min: 10, max: 30 });
+    assert.deepEqual(summary.messagesPerBlock, { count: 2, mean: 1.5, min: 1, max: 2 });
+  });
+
+  it('should summarize runs with many votes', () => {
+    let many = [{ time: 0, type: EventLog.VOTE_CAST, address: "a", from: "a", voteID: "v1", msgHeight: 1 }];
+    for (let i = 1; i <= 200000; i++) {
+      many.push({ time: i, type: EventLog.VOTE_COUNTED, address: "b", from: "a", voteID: "v1", msgHeight: 1 });
+    }
+    let { voteLatency } = new ConsensusMetrics(many).summary();
+    assert.include(voteLatency, { count: 200000, min: 1, max: 200000 });
+  });
+});
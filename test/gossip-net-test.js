@@ -0,0 +1,76 @@
+"use strict";
+
+const assert = require('chai').assert;
+const EventEmitter = require('events');
+const { utils } = require('spartan-gold');
+
+const GossipNet = require('../gossip-net.js');
+const UnreliableNet = require('../unreliable-net.js');
+
+const KEYS = require('../sim-keys.json');
+
+// A node for the gossip layer to work on behalf of.
+function owner(name) {
+  let keyPair = KEYS[name];
+  return Object.assign(new EventEmitter(), { address: utils.calcAddress(keyPair.public), keyPair });
+}
+
+describe('GossipNet', () => {
+  let gossip, received;
+
+  beforeEach(() => {
+    gossip = new GossipNet(new UnreliableNet());
+    gossip.owner = owner("Minnie");
+    received = [];
+    gossip.owner.on("PING", (o) => received.push(o.n));
+  });
+
+  describe('.receiveGossip', () => {
+    it('should deliver each message once', () => {
+      gossip.receiveGossip({ from: "mickey-addr", msgType: "PING", o: { n: 1 } });
+      gossip.receiveGossip({ from: "goofy-addr", msgType: "PING", o: { n: 1 } });
+      gossip.receiveGossip({ from: "mickey-addr", msgType: "PING", o: { n: 2 } });
+      assert.deepEqual(received, [1, 2]);
+    });
+
+    it('should not add the claimed sender as a peer', () => {
+      gossip.receiveGossip({ from: "mallory-addr", msgType: "PING", o: { n: 1 } });
+      assert.equal(gossip.peers.size, 0);
+    });
+  });
+
+  describe('.providePeers', () => {
+    let mickey, sent;
+
+    beforeEach(() => {
+      mickey = new GossipNet(new UnreliableNet());
+      mickey.owner = owner("Mickey");
+      sent = [];
+      gossip.transport.sendMessage = (address, msg) => sent.push({ address, msg });
+    });
+
+    it('should add the sender of a signed request as a peer and reply', () => {
+      gossip.providePeers(mickey.makePeerRequest(gossip.owner.address));
+      assert.deepEqual(Array.from(gossip.peers.keys()), [mickey.owner.address]);
+      assert.deepEqual(sent, [{ address: mickey.owner.address, msg: GossipNet.PEER_RESPONSE }]);
+    });
+
+    it('should ignore a forged request', () => {
+      let forged = owner("Goofy");
+      let request = Object.assign(mickey.makePeerRequest(gossip.owner.address), {
+        pubKey: forged.keyPair.public,
+        sig: utils.sign(forged.keyPair.private, `${GossipNet.PEER_REQUEST}-${mickey.owner.address}-${gossip.owner.address}`),
+      });
+      gossip.providePeers(request);
+      gossip.providePeers({ from: mickey.owner.address, to: gossip.owner.address });
+      assert.equal(gossip.peers.size, 0);
+      assert.deepEqual(sent, []);
+    });
+
+    it('should ignore a request signed for another node', () => {
+      gossip.providePeers(mickey.makePeerRequest(owner("Goofy").address));
+      assert.equal(gossip.peers.size, 0);
+      assert.deepEqual(sent, []);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+"use strict";
+
+const { Transaction } = require('spartan-gold');
+
+const StakeClient = require('../stake-client.js');
+const Validator = require('../validator.js');
+const StakeBlock = require('../stake-block.js');
+const StakeBlockchain = require('../stake-blockchain.js');
+const UnreliableNet = require('../unreliable-net.js');
+const SimClock = require('../sim-clock.js');
+
+// Key generation is slow, and a run is only reproducible if the
+// validators have the same addresses, so the tests share fixed key pairs.
+const KEYS = require('../sim-keys.json');
+
+// Giving up on a run after this much virtual time.
+const MAX_VIRTUAL_TIME = 10 * 60 * 1000;
+
+/**
+ * Sets up a network of clients and validators on a simulated clock.
+ * Nodes are named after the key pairs in sim-keys.json.
+ *
+ * @param {Object} opts - Settings for the network.
+ * @param {number} [opts.seed] - Seed for the simulated clock.
+ * @param {Array} opts.validators - Objects with name, balance, and stake,
+ *    and optionally the class to use (defaults to Validator) and any
+ *    other settings for its constructor.
+ * @param {Array} [opts.clients] - Objects with name and balance.
+ * @param {Object} [opts.net] - Network settings, as for UnreliableNet.fromConfig.
+ * @param {Object} [opts.cfg] - Additional settings for makeGenesis.
+ *
+ * @returns {Object} - The clock, the network, and the nodes by name.
+ */
+function makeNetwork({ seed=1, validators, clients=[], net={}, cfg={} }) {
+  let clock = new SimClock(seed);
+  let fakeNet = UnreliableNet.fromConfig(net);
+
+  let nodes = {};
+  clients.forEach(({ name }) => {
+    nodes[name] = new StakeClient({ name, net: fakeNet, keyPair: KEYS[name] });
+  });
+  let validatorList = validators.map(({ name, cls=Validator, settings }) => {
+    nodes[name] = new cls(Object.assign({ name, net: fakeNet, keyPair: KEYS[name] }, settings));
+    return nodes[name];
+  });
+
+  let all = clients.concat(validators);
+  StakeBlockchain.makeGenesis(Object.assign({
+    blockClass: StakeBlock,
+    transactionClass: Transaction,
+    confirmedDepth: 3,
+    delta: 400,
+    commitTime: 1000,
+    clock: clock,
+    clientBalanceMap: new Map(all.map(({ name, balance }) => [nodes[name], balance])),
+    startingStakeMap: new Map(validators.map(({ name, stake }) => [nodes[name], stake])),
+  }, cfg));
+
+  // The tests check the results rather than the log messages.
+  Object.values(nodes).forEach((node) => node.log = function(){});
+
+  fakeNet.register(...Object.values(nodes));
+  validatorList.forEach((v) => v.initialize());
+
+  return { clock, net: fakeNet, nodes, validators: validatorList };
+}
+
+/**
+ * Runs the clock until every one of the validators reaches the specified
+ * height, or until the time limit is reached.
+ *
+ * @returns {boolean} - True if every validator reached the height.
+ */
+function runUntilHeight(clock, validators, height, maxTime=MAX_VIRTUAL_TIME) {
+  let done = () => validators.every((v) => v.lastBlock.chainLength >= height);
+  clock.run({ until: clock.now() + maxTime, stopWhen: done });
+  return done();
+}
+
+/**
+ * Returns the blocks in the validator's chain, indexed by height.
+ */
+function chainOf(validator) {
+  let chain = [];
+  let block = validator.lastBlock;
+  while (block !== undefined) {
+    chain[block.chainLength] = block;
+    block = validator.blocks.get(block.prevBlockHash);
+  }
+  return chain;
+}
+
+/**
+ * Returns the heights where the validators committed different blocks.
+ */
+function conflictingHeights(validators) {
+  let committed = new Map();
+  let conflicts = new Set();
+  validators.forEach((v) => {
+    chainOf(v).forEach((block, height) => {
+      let id = committed.get(height);
+      if (id === undefined) committed.set(height, block.id);
+      else if (id !== block.id) conflicts.add(height);
+    });
+  });
+  return Array.from(conflicts);
+}
+
+/**
+ * Adds up the balances of every address in the block.  (Bonded
+ * and unbonding gold is still counted in the balances.)
+ */
+function totalGold(block) {
+  let total = 0;
+  block.balances.forEach((balance) => total += balance);
+  return total;
+}
+
+/**
+ * Returns the total gold that should exist as of the validator's last block:
+ * the gold in the genesis block, plus the coinbase rewards of every earlier
+ * block.  (The rewards for a block are paid in the next block.)
+ */
+function expectedGold(validator) {
+  let chain = chainOf(validator);
+  let total = totalGold(chain[0]);
+  for (let height = 1; height < chain.length - 1; height++) {
+    total += chain[height].coinbaseReward;
+  }
+  return total;
+}
+
+module.exports = {
+  makeNetwork,
+  runUntilHeight,
+  chainOf,
+  conflictingHeights,
+  totalGold,
+  expectedGold,
+};
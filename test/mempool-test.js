@@ -0,0 +1,99 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const Mempool = require('../mempool.js');
+const StakeBlockchain = require('../stake-blockchain.js');
+
+const { makeNetwork } = require('./helpers.js');
+
+describe('Mempool', () => {
+  let alice, bob, genesis;
+
+  // Makes a signed transfer of 1 gold from the sender to Bob.
+  function transfer(sender, nonce, fee, amount=1) {
+    let tx = StakeBlockchain.makeTransaction({
+      from: sender.address,
+      nonce: nonce,
+      pubKey: sender.keyPair.public,
+      outputs: [{ amount, address: bob.address }],
+      fee: fee,
+    });
+    tx.sign(sender.keyPair.private);
+    return tx;
+  }
+
+  beforeEach(() => {
+    let { nodes, validators } = makeNetwork({
+      validators: [{ name: "Minnie", balance: 400, stake: 200 }],
+      clients: [{ name: "Alice", balance: 100 }, { name: "Bob", balance: 50 }],
+      cfg: { maxBlockTxs: 3 },
+    });
+    alice = nodes.Alice;
+    bob = nodes.Bob;
+    genesis = validators[0].lastBlock;
+  });
+
+  describe('.add', () => {
+    it('should refuse transactions with invalid signatures', () => {
+      let mempool = new Mempool();
+      let tx = transfer(alice, 0, 1);
+      tx.fee = 2;
+      assert.isFalse(mempool.add(tx, genesis));
+    });
+
+    it('should refuse transactions that spend more than the sender has', () => {
+      let mempool = new Mempool();
+      assert.isFalse(mempool.add(transfer(alice, 0, 1, 100), genesis));
+      assert.isTrue(mempool.add(transfer(alice, 0, 1, 99), genesis));
+    });
+
+    it('should replace a pending transaction only for a higher fee', () => {
+      let mempool = new Mempool();
+      assert.isTrue(mempool.add(transfer(alice, 0, 2), genesis));
+      assert.isFalse(mempool.add(transfer(alice, 0, 2, 2), genesis));
+      assert.isTrue(mempool.add(transfer(alice, 0, 3), genesis));
+      assert.equal(mempool.size, 1);
+    });
+
+    it('should evict the lowest fee transaction when full', () => {
+      let mempool = new Mempool({ maxSize: 2 });
+      assert.isTrue(mempool.add(transfer(alice, 0, 1), genesis));
+      assert.isTrue(mempool.add(transfer(bob, 0, 1), genesis));
+      assert.isFalse(mempool.add(transfer(alice, 1, 1), genesis));
+      let tx = transfer(alice, 1, 5);
+      assert.isTrue(mempool.add(tx, genesis));
+      assert.equal(mempool.size, 2);
+      assert.isTrue(mempool.txs.has(tx.id));
+      assert.isFalse(mempool.bySender.has(bob.address));
+    });
+  });
+
+  describe('.fillBlock', () => {
+    it('should add transactions by fee, in nonce order, up to the block limit', () => {
+      let mempool = new Mempool();
+      mempool.add(transfer(alice, 1, 5), genesis);
+      mempool.add(transfer(alice, 0, 1), genesis);
+      mempool.add(transfer(bob, 0, 3), genesis);
+      mempool.add(transfer(alice, 2, 0), genesis);
+
+      let block = StakeBlockchain.makeBlock(alice.address, genesis);
+      assert.equal(mempool.fillBlock(block), 3);
+      let added = Array.from(block.transactions.values()).map((tx) => [tx.from, tx.nonce]);
+      assert.deepEqual(added, [[bob.address, 0], [alice.address, 0], [alice.address, 1]]);
+
+      // Transactions stay in the mempool until they are committed.
+      assert.equal(mempool.size, 4);
+      mempool.removeCommitted(block);
+      assert.equal(mempool.size, 1);
+    });
+
+    it('should leave transactions waiting on an earlier nonce', () => {
+      let mempool = new Mempool();
+      mempool.add(transfer(alice, 1, 5), genesis);
+      let block = StakeBlockchain.makeBlock(alice.address, genesis);
+      assert.equal(mempool.fillBlock(block), 0);
+      assert.equal(mempool.size, 1);
+    });
+  });
+});
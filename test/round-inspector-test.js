@@ -0,0 +1,81 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const EventLog = require('../event-log.js');
+const RoundInspector = require('../round-inspector.js');
+
+const BLOCK_A = "aaaaaaaa11111111";
+const BLOCK_B = "bbbbbbbb22222222";
+
+// Minnie and Mickey deciding height 1 in two rounds:  the votes are split in
+// round 1, with Mickey voting twice, and Minnie locks on to block B in round 2.
+function events() {
+  let minnie = { validator: "Minnie", address: "minnie-addr", height: 1 };
+  let mickey = { validator: "Mickey", address: "mickey-addr", height: 1 };
+  let event = (who, round, type, time, details) =>
+    Object.assign({ time, type, round }, who, details);
+  let vote = (who, round, type, time, voteType, from, blockID) =>
+    event(who, round, type, time, { voteType, from, blockID, msgHeight: 1, msgRound: round });
+  return [
+    event(minnie, 1, EventLog.ROUND_STARTED, 0),
+    event(minnie, 1, EventLog.PROPOSER_CHOSEN, 0, { proposer: "minnie-addr" }),
+    event(minnie, 1, EventLog.PROPOSAL_SENT, 0, { from: "minnie-addr", blockID: BLOCK_A, msgHeight: 1, msgRound: 1 }),
+    event(mickey, 1, EventLog.ROUND_STARTED, 5),
+    vote(minnie, 1, EventLog.VOTE_CAST, 10, "PREVOTE", "minnie-addr", BLOCK_A),
+    vote(minnie, 1, EventLog.VOTE_COUNTED, 20, "PREVOTE", "mickey-addr", "NIL"),
+    vote(minnie, 1, EventLog.VOTE_COUNTED, 25, "PREVOTE", "mickey-addr", BLOCK_A),
+    event(minnie, 1, EventLog.VOTES_TALLIED, 30,
+      { voteType: "PREVOTE", power: { [BLOCK_A]: 50, NIL: 50 }, totalPower: 100 }),
+    event(minnie, 2, EventLog.ROUND_STARTED, 100),
+    event(minnie, 2, EventLog.PROPOSER_CHOSEN, 100, { proposer: "mickey-addr" }),
+    event(minnie, 2, EventLog.PROPOSAL_RECEIVED, 110, { from: "mickey-addr", blockID: BLOCK_B, msgHeight: 1, msgRound: 2 }),
+    vote(minnie, 2, EventLog.VOTE_CAST, 120, "PREVOTE", "minnie-addr", BLOCK_B),
+    event(minnie, 2, EventLog.VOTES_TALLIED, 130,
+      { voteType: "PREVOTE", power: { [BLOCK_B]: 100 }, totalPower: 100, winner: BLOCK_B }),
+    event(minnie, 2, EventLog.LOCKED, 130, { blockID: BLOCK_B, lockedRound: 2 }),
+    event(minnie, 2, EventLog.COMMITTED, 200, { blockID: BLOCK_B, blockHeight: 1 }),
+  ];
+}
+
+describe('RoundInspector', () => {
+  it('should rebuild the state of each round', () => {
+    let inspector = new RoundInspector(events());
+    let h = inspector.heights.get(1);
+    assert.equal(h.rounds.size, 2);
+    assert.equal(h.committed.blockID, BLOCK_B);
+
+    let [round1, round2] = [h.rounds.get(1), h.rounds.get(2)];
+    assert.deepEqual(Array.from(round1.proposers.keys()), ["Minnie"]);
+    assert.deepEqual(round1.validators.get("Mickey").votes.PREVOTE, ["NIL", BLOCK_A]);
+    assert.equal(round1.validators.get("Mickey").started, 5);
+    assert.deepEqual(Array.from(round2.proposals.get(BLOCK_B)), ["Mickey"]);
+    assert.equal(round2.validators.get("Minnie").locked, BLOCK_B);
+  });
+
+  it('should report votes, 2/3 majorities, and locks as text', () => {
+    let lines = new RoundInspector(events()).textReport().split("\n");
+    assert.include(lines, "Height 1: committed block bbbbbbbb at 200ms after 2 rounds");
+    assert.include(lines, "  Round 2 (started at 100ms), proposer Mickey");
+    assert.include(lines, "    Proposals: bbbbbbbb from Mickey");
+    let mickey = lines.find((line) => line.startsWith("    Mickey"));
+    assert.match(mickey, /nil, aaaaaaaa/);
+    let minnie = lines.filter((line) => line.startsWith("    Minnie"));
+    assert.match(minnie[0], /aaaaaaaa\s+none \(50%\)/);
+    assert.match(minnie[1], /-> bbbbbbbb\s+bbbbbbbb\s+bbbbbbbb/);
+  });
+
+  it('should only report the selected heights', () => {
+    let inspector = new RoundInspector(events());
+    assert.equal(inspector.textReport({ minRounds: 3 }), "");
+    assert.equal(inspector.selectHeights({ height: 1 }).length, 1);
+  });
+
+  it('should produce a self-contained HTML timeline', () => {
+    let html = new RoundInspector(events()).htmlReport();
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.notMatch(html, /<script|<link|src=/);
+    assert.include(html, 'title="Round 2: 100ms - 200ms"');
+    assert.include(html, '<td class="double">');
+  });
+});
@@ -0,0 +1,103 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const Scenario = require('../scenario.js');
+
+// A small scenario, with a late validator and an action that fails.
+function spec() {
+  return {
+    name: "test",
+    quiet: true,
+    commitTime: 1000,
+    net: { messageDelay: 100 },
+    clients: [{ name: "Alice", balance: 100 }, { name: "Bob", balance: 50 }],
+    validators: [
+      { name: "Minnie", balance: 400, stake: 200 },
+      { name: "Mickey", balance: 300, stake: 99 },
+      { name: "Goofy", balance: 200, stake: 54 },
+      { name: "Donald", balance: 500, late: true },
+    ],
+    actions: [
+      { at: 0, do: "transfer", from: "Alice", to: "Bob", amount: 40, fee: 1 },
+      { at: 0, do: "transfer", from: "Bob", to: "Alice", amount: 1000 },
+      { at: 2000, do: "join", node: "Donald", stake: 300 },
+    ],
+    stop: { height: 6 },
+  };
+}
+
+describe('Scenario', () => {
+  describe('constructor', () => {
+    it('should refuse unrecognized classes and actions', () => {
+      let bad = spec();
+      bad.validators[0].class = "Nobody";
+      assert.throws(() => new Scenario(bad), /Unrecognized class/);
+      bad = spec();
+      bad.actions.push({ at: 0, do: "dance" });
+      assert.throws(() => new Scenario(bad), /Unrecognized action/);
+    });
+
+    it('should refuse unrecognized network types', () => {
+      let bad = spec();
+      bad.net = { type: "carrier-pigeon" };
+      assert.throws(() => new Scenario(bad), /Unrecognized network type/);
+    });
+  });
+
+  describe('.run', () => {
+    let report;
+    before(() => {
+      report = new Scenario(spec()).run();
+    });
+
+    it('should stop once the validators reach the height', () => {
+      assert.equal(report.stoppedBecause, "height");
+      assert.isTrue(report.agreement.agree);
+      assert.isAtLeast(report.agreement.height, 6);
+    });
+
+    it('should perform the actions, recording any that fail', () => {
+      let [transfer, overdraft, join] = report.actions;
+      assert.isTrue(transfer.ok);
+      assert.isFalse(overdraft.ok);
+      assert.match(overdraft.error, /Requested/);
+      assert.isTrue(join.ok);
+      assert.equal(join.time, 2000);
+
+      let balances = {};
+      report.nodes.forEach(({ name, balance, staked }) => balances[name] = { balance, staked });
+      assert.equal(balances.Alice.balance, 59);
+      assert.equal(balances.Bob.balance, 90);
+      assert.equal(balances.Donald.staked, 300);
+      assert.isAbove(report.heights.Donald, 0);
+    });
+
+    it('should give the same report for the same seed', () => {
+      assert.deepEqual(new Scenario(spec()).run(), report);
+    });
+  });
+
+  describe('.report', () => {
+    it('should not give an agreement height when no validators are watched', () => {
+      let unwatched = spec();
+      unwatched.stop = { height: 6, nodes: [] };
+      let report = new Scenario(unwatched).run();
+      assert.deepEqual(report.agreement, { height: undefined, agree: true });
+      assert.isUndefined(report.perspective);
+    });
+  });
+
+  describe('with a gossip network', () => {
+    it('should find peers and reach the height', () => {
+      let gossip = spec();
+      gossip.net = { type: "gossip", messageDelay: 100, maxPeers: 2, seeds: 1 };
+      gossip.actions = [];
+      let scenario = new Scenario(gossip);
+      let report = scenario.run();
+      assert.equal(report.stoppedBecause, "height");
+      assert.isTrue(report.agreement.agree);
+      scenario.watched.forEach((v) => assert.isAtLeast(v.net.peers.size, 1));
+    });
+  });
+});
@@ -0,0 +1,127 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const SimClock = require('../sim-clock.js');
+const StakeBlockchain = require('../stake-blockchain.js');
+
+const { makeNetwork } = require('./helpers.js');
+
+// Timeouts for the first three steps.  The commit step keeps the default (delta).
+const TIMEOUTS = {
+  [StakeBlockchain.STEP_PROPOSE]: { base: 1000, increment: 500 },
+  [StakeBlockchain.STEP_PREVOTE]: { base: 400, increment: 200 },
+  [StakeBlockchain.STEP_PRECOMMIT]: { base: 400, increment: 200 },
+};
+
+// Runs three validators on a fast network, returning the time that
+// Minnie first started each step after the propose step.
+function stepTimes(advanceEarly) {
+  let { clock, nodes } = makeNetwork({
+    validators: [
+      { name: "Minnie", balance: 400, stake: 200 },
+      { name: "Mickey", balance: 300, stake: 99 },
+      { name: "Goofy", balance: 200, stake: 54 },
+    ],
+    net: { messageDelay: 50 },
+    cfg: { timeouts: TIMEOUTS, advanceEarly },
+  });
+
+  let minnie = nodes.Minnie;
+  let times = {};
+  ['prevote', 'precommit', 'commitDecision'].forEach((step) => {
+    let method = minnie[step];
+    minnie[step] = function() {
+      if (times[step] === undefined) times[step] = clock.now();
+      return method.apply(this, arguments);
+    };
+  });
+  clock.run({ until: 2000 });
+  return times;
+}
+
+describe('SimClock', () => {
+  describe('.setTimeout', () => {
+    it('should call timers in order of time, then in the order they were set', () => {
+      let clock = new SimClock();
+      let calls = [];
+      clock.setTimeout(() => calls.push('b'), 20);
+      clock.setTimeout(() => calls.push('a'), 10);
+      clock.setTimeout(() => calls.push('c'), 20);
+      clock.run();
+      assert.deepEqual(calls, ['a', 'b', 'c']);
+      assert.equal(clock.now(), 20);
+    });
+
+    it('should not call cancelled timers', () => {
+      let clock = new SimClock();
+      let called = false;
+      let id = clock.setTimeout(() => called = true, 10);
+      clock.clearTimeout(id);
+      assert.equal(clock.run(), 0);
+      assert.isFalse(called);
+      assert.equal(clock.pending, 0);
+    });
+  });
+
+  describe('.setInterval', () => {
+    it('should repeat until cleared', () => {
+      let clock = new SimClock();
+      let times = [];
+      let id = clock.setInterval(() => {
+        times.push(clock.now());
+        if (times.length === 3) clock.clearInterval(id);
+      }, 100);
+      clock.run();
+      assert.deepEqual(times, [100, 200, 300]);
+    });
+  });
+
+  describe('.run', () => {
+    it('should stop at the specified time', () => {
+      let clock = new SimClock();
+      let called = false;
+      clock.setTimeout(() => called = true, 500);
+      clock.run({ until: 400 });
+      assert.isFalse(called);
+      assert.equal(clock.now(), 400);
+      clock.run({ until: 500 });
+      assert.isTrue(called);
+    });
+  });
+
+  describe('.random', () => {
+    it('should give the same sequence for the same seed', () => {
+      let seq = (seed) => {
+        let clock = new SimClock(seed);
+        return [1, 2, 3, 4, 5].map(() => clock.random());
+      };
+      assert.deepEqual(seq(42), seq(42));
+      assert.notDeepEqual(seq(42), seq(43));
+      seq(7).forEach((n) => assert.isTrue(n >= 0 && n < 1));
+    });
+  });
+
+  describe('with validators', () => {
+    it('should lengthen each timeout by its increment every round', () => {
+      makeNetwork({ validators: [{ name: "Minnie", balance: 400, stake: 200 }], cfg: { timeouts: TIMEOUTS } });
+      let propose = [1, 2, 3].map((round) => StakeBlockchain.timeout(StakeBlockchain.STEP_PROPOSE, round));
+      assert.deepEqual(propose, [1000, 1500, 2000]);
+
+      // Steps without their own settings default to delta.
+      let commit = [1, 2, 3].map((round) => StakeBlockchain.timeout(StakeBlockchain.STEP_COMMIT, round));
+      assert.deepEqual(commit, [400, 800, 1200]);
+    });
+
+    it('should wait out every timeout unless advancing early', () => {
+      assert.deepEqual(stepTimes(false), { prevote: 1000, precommit: 1400, commitDecision: 1800 });
+    });
+
+    it('should move on once a proposal or more than 2/3 of the votes arrive when advancing early', () => {
+      let times = stepTimes(true);
+      assert.isBelow(times.prevote, 1000);
+      assert.isBelow(times.precommit, times.prevote + 400);
+      assert.isBelow(times.commitDecision, times.precommit + 400);
+    });
+  });
+});
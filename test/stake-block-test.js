@@ -0,0 +1,307 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const Proposal = require('../proposal.js');
+const StakeBlock = require('../stake-block.js');
+const StakeBlockchain = require('../stake-blockchain.js');
+const Vote = require('../vote.js');
+
+const { makeNetwork, runUntilHeight, chainOf } = require('./helpers.js');
+
+const VALIDATORS = [
+  { name: "Minnie", balance: 400, stake: 200 },
+  { name: "Mickey", balance: 300, stake: 99 },
+  { name: "Goofy", balance: 200, stake: 54 },
+  { name: "Donald", balance: 500, stake: 80 },
+];
+
+// Returns a copy of the block, as another validator would receive it.
+function copyOf(block) {
+  return StakeBlockchain.deserializeBlock(JSON.parse(JSON.stringify(block)));
+}
+
+// Returns a vote signed with the signer's key, claiming to be from the
+// specified address (by default, the signer's own address).
+function signedVote(signer, { height, round=1, type=StakeBlockchain.PREVOTE,
+    blockID=StakeBlockchain.NIL, from=signer.address }) {
+  return Vote.makeVote({ address: from, keyPair: signer.keyPair, height, round }, type, blockID);
+}
+
+describe('StakeBlock', function() {
+  this.timeout(60000);
+
+  describe('on a running chain', () => {
+    let nodes, chain;
+    before(() => {
+      let network = makeNetwork({
+        validators: VALIDATORS,
+        clients: [{ name: "Alice", balance: 100 }],
+        net: { messageDelay: 100 },
+        cfg: { evidenceMaxAge: 2 },
+      });
+      nodes = network.nodes;
+      assert.isTrue(runUntilHeight(network.clock, network.validators, 4));
+      chain = chainOf(network.validators[0]);
+    });
+
+    describe('.isValidEvidence', () => {
+      // Conflicting prevotes from Donald, for a height within the evidence window.
+      function evidence(height=3) {
+        return [
+          signedVote(nodes.Donald, { height }),
+          signedVote(nodes.Donald, { height, blockID: chain[height].id }),
+        ];
+      }
+
+      it('should accept conflicting votes from a validator', () => {
+        assert.isTrue(chain[4].isValidEvidence(...evidence()));
+      });
+
+      it('should refuse evidence that is too old', () => {
+        assert.isFalse(chain[4].isValidEvidence(...evidence(1)));
+      });
+
+      it('should refuse duplicate messages and evidence already processed', () => {
+        let [msg1, msg2] = evidence();
+        assert.isFalse(chain[4].isValidEvidence(msg1, msg1));
+
+        let block = copyOf(chain[4]);
+        assert.isTrue(block.rerun(chain[3]));
+        block.punishments.set(StakeBlock.evidenceID(msg1, msg2), 3);
+        assert.isFalse(block.isValidEvidence(msg1, msg2));
+      });
+
+      it('should refuse messages signed by someone other than the accused validator', () => {
+        let msg1 = signedVote(nodes.Mickey, { height: 3, from: nodes.Donald.address });
+        let msg2 = signedVote(nodes.Mickey, { height: 3, from: nodes.Donald.address, blockID: chain[3].id });
+        assert.isFalse(chain[4].isValidEvidence(msg1, msg2));
+      });
+
+      it('should refuse messages for different heights or rounds', () => {
+        let msg1 = signedVote(nodes.Donald, { height: 3 });
+        assert.isFalse(chain[4].isValidEvidence(msg1, signedVote(nodes.Donald, { height: 4, blockID: chain[3].id })));
+        assert.isFalse(chain[4].isValidEvidence(msg1, signedVote(nodes.Donald, { height: 3, round: 2 })));
+      });
+    });
+
+    describe('.isValidLockingTransaction', () => {
+      function unstake(amountToUnstake) {
+        let donald = nodes.Donald;
+        let tx = StakeBlockchain.makeTransaction({
+          from: donald.address,
+          nonce: 0,
+          pubKey: donald.keyPair.public,
+          outputs: [],
+          fee: 0,
+          data: { type: StakeBlock.TX_TYPE_UNSTAKE, amountToUnstake },
+        });
+        tx.sign(donald.keyPair.private);
+        return tx;
+      }
+
+      it('should refuse to unstake more gold than is staked', () => {
+        assert.isTrue(chain[4].isValidLockingTransaction(unstake(80)));
+        assert.isFalse(chain[4].isValidLockingTransaction(unstake(81)));
+      });
+    });
+
+    describe('.hasValidProof', () => {
+      it('should accept the commit certificate', () => {
+        assert.isTrue(copyOf(chain[2]).hasValidProof(chain[1]));
+      });
+
+      it('should refuse a certificate with less than 2/3 of the voting power', () => {
+        let block = copyOf(chain[2]);
+        block.proof = block.proof.slice(0, 1);
+        assert.isFalse(block.hasValidProof(chain[1]));
+      });
+
+      it('should refuse a certificate signed by a node outside the validator set', () => {
+        let block = copyOf(chain[2]);
+        let { round } = block.proof[0];
+        block.proof.push(signedVote(nodes.Alice,
+          { height: 2, round, type: StakeBlockchain.COMMIT, blockID: block.id }));
+        assert.isFalse(block.hasValidProof(chain[1]));
+      });
+    });
+  });
+
+  describe('.payRewards', () => {
+    it('should pay the bonus and any remainder to the proposer, and split the rest by stake', () => {
+      let { nodes, validators } = makeNetwork({ validators: VALIDATORS });
+      let block1 = StakeBlockchain.makeBlock(nodes.Minnie.address, validators[0].lastBlock);
+      let block2 = StakeBlockchain.makeBlock(nodes.Mickey.address, block1);
+
+      // Of the 25 gold in rewards, 2 are the bonus, and 21 of the other
+      // 23 are shared among the 433 staked, leaving 2 for the proposer.
+      assert.equal(block1.totalRewards(), 25);
+      let paid = {};
+      Object.keys(nodes).forEach((name) => {
+        paid[name] = block2.balanceOf(nodes[name].address) - block1.balanceOf(nodes[name].address);
+      });
+      assert.deepEqual(paid, { Minnie: 14, Mickey: 5, Goofy: 2, Donald: 4 });
+    });
+  });
+
+  describe('.updateValidatorSet', () => {
+    it('should only change voting power VALIDATOR_SET_DELAY blocks after a change in stake', () => {
+      let { nodes } = makeNetwork({ validators: VALIDATORS, clients: [{ name: "Alice", balance: 100 }] });
+      assert.equal(StakeBlockchain.VALIDATOR_SET_DELAY, 2);
+
+      let chain = [nodes.Minnie.lastBlock];
+      chain[1] = StakeBlockchain.makeBlock(nodes.Minnie.address, chain[0]);
+      chain[1].unstakeGold(nodes.Donald.address, 80);
+      chain[1].stakeGold(nodes.Alice.address, 50);
+      for (let height = 2; height <= 3; height++) {
+        chain[height] = StakeBlockchain.makeBlock(nodes.Minnie.address, chain[height - 1]);
+      }
+
+      let power = (addr) => chain.slice(1).map((block) => block.votingPowerOf(addr));
+      assert.deepEqual(power(nodes.Donald.address), [80, 80, 0]);
+      assert.deepEqual(power(nodes.Alice.address), [0, 0, 50]);
+      assert.deepEqual(chain.slice(1).map((block) => block.totalPower), [433, 433, 403]);
+    });
+  });
+
+  describe('.punishCheater', () => {
+    // Fractions of the stake seized, chosen so that each offense seizes
+    // a different amount of Donald's 80 staked gold.
+    const SLASHING = { doubleProposal: 1/2, doublePrevote: 1/3, doublePrecommit: 1/4, doubleCommit: 3/4 };
+
+    let nodes, block;
+    beforeEach(() => {
+      ({ nodes } = makeNetwork({ validators: VALIDATORS, cfg: { slashing: SLASHING } }));
+      block = StakeBlockchain.makeBlock(nodes.Minnie.address, nodes.Minnie.lastBlock);
+    });
+
+    // Conflicting messages from Donald for the given offense.
+    function evidence(offense) {
+      if (offense === 'doubleProposal') {
+        return [nodes.Minnie, nodes.Mickey].map((proposer) => {
+          let proposal = new Proposal({
+            from: nodes.Donald.address,
+            pubKey: nodes.Donald.keyPair.public,
+            block: StakeBlockchain.makeBlock(proposer.address, nodes.Minnie.lastBlock),
+            height: 1,
+            round: 0,
+          });
+          proposal.sign(nodes.Donald.keyPair.private);
+          return JSON.parse(JSON.stringify(proposal));
+        });
+      }
+      let type = { doublePrevote: StakeBlockchain.PREVOTE, doublePrecommit: StakeBlockchain.PRECOMMIT,
+        doubleCommit: StakeBlockchain.COMMIT }[offense];
+      return [
+        signedVote(nodes.Donald, { height: 1, type }),
+        signedVote(nodes.Donald, { height: 1, type, blockID: block.id }),
+      ];
+    }
+
+    // Change in each node's balance from punishing Donald.
+    function punish(offense) {
+      let before = new Map(block.balances);
+      block.punishCheater(...evidence(offense), nodes.Minnie.address);
+      let change = {};
+      Object.keys(nodes).forEach((name) => {
+        let addr = nodes[name].address;
+        change[name] = block.balanceOf(addr) - (before.get(addr) || 0);
+      });
+      return change;
+    }
+
+    Object.keys(SLASHING).forEach((offense) => {
+      it(`should seize part of the stake for a ${offense}`, () => {
+        let seized = Math.floor(80 * SLASHING[offense]);
+        let change = punish(offense);
+        assert.equal(change.Donald, -seized);
+        assert.equal(block.amountGoldStaked(nodes.Donald.address), 80 - seized);
+        assert.isTrue(block.stakeBalances.has(nodes.Donald.address));
+
+        // The other validators share the seized gold, less any rounding.
+        let shared = change.Minnie + change.Mickey + change.Goofy;
+        assert.isAtMost(shared, seized);
+        assert.isAbove(shared, seized - 3);
+      });
+    });
+
+    it('should round down each share and burn the remainder', () => {
+      // Of the 26 gold seized, the other 353 staked gold earns 24,
+      // and the remaining 2 are burned.
+      assert.deepEqual(punish('doublePrevote'), { Minnie: 14, Mickey: 7, Goofy: 3, Donald: -26 });
+    });
+  });
+
+  describe('.slashUnbonding', () => {
+    let nodes, chain;
+
+    // Blocks 1-3 made by Minnie, with Donald unbonding 20 gold at height 1
+    // and 30 at height 2, and Goofy unbonding 10 at height 2.
+    beforeEach(() => {
+      ({ nodes } = makeNetwork({ validators: VALIDATORS }));
+      let nextBlock = (prevBlock) => StakeBlockchain.makeBlock(nodes.Minnie.address, prevBlock);
+      chain = [nodes.Minnie.lastBlock];
+      chain[1] = nextBlock(chain[0]);
+      chain[1].unstakeGold(nodes.Donald.address, 20);
+      chain[2] = nextBlock(chain[1]);
+      chain[2].unstakeGold(nodes.Donald.address, 30);
+      chain[2].unstakeGold(nodes.Goofy.address, 10);
+      chain[3] = nextBlock(chain[2]);
+    });
+
+    it('should seize from gold unbonded at or after the offense height', () => {
+      assert.equal(chain[3].slashUnbonding(nodes.Donald.address, 2, 1/2), 15);
+      assert.equal(chain[3].amountGoldUnbonding(nodes.Donald.address), 35);
+      assert.equal(chain[3].slashUnbonding(nodes.Donald.address, 1, 1), 35);
+      assert.equal(chain[3].amountGoldUnbonding(nodes.Donald.address), 0);
+    });
+
+    it('should leave gold unbonded before the offense, and other validators, alone', () => {
+      assert.equal(chain[3].slashUnbonding(nodes.Donald.address, 3, 1), 0);
+      assert.equal(chain[3].slashUnbonding(nodes.Donald.address, 2, 1), 30);
+      assert.equal(chain[3].amountGoldUnbonding(nodes.Donald.address), 20);
+      assert.equal(chain[3].amountGoldUnbonding(nodes.Goofy.address), 10);
+
+      // The earlier blocks share the unbonding entries, and must not change.
+      assert.equal(chain[2].amountGoldUnbonding(nodes.Donald.address), 50);
+    });
+
+    it('should seize the stake of a validator that unstakes after cheating', () => {
+      let evidence = [
+        signedVote(nodes.Donald, { height: 2 }),
+        signedVote(nodes.Donald, { height: 2, blockID: chain[2].id }),
+      ];
+      chain[3].unstakeGold(nodes.Donald.address, 80);
+      let block = StakeBlockchain.makeBlock(nodes.Minnie.address, chain[3]);
+      assert.isTrue(block.isValidEvidence(...evidence));
+
+      let balance = block.balanceOf(nodes.Donald.address);
+      block.punishCheater(...evidence, nodes.Minnie.address);
+      assert.equal(block.balanceOf(nodes.Donald.address), balance - 110);
+      assert.equal(block.amountGoldUnbonding(nodes.Donald.address), 20);
+    });
+  });
+
+  describe('when only signers are rewarded', () => {
+    let chain;
+    before(() => {
+      let { clock, validators } = makeNetwork({
+        validators: VALIDATORS,
+        net: { messageDelay: 100 },
+        cfg: { rewardSignersOnly: true },
+      });
+      assert.isTrue(runUntilHeight(clock, validators, 3));
+      chain = chainOf(validators[0]);
+    });
+
+    it('should accept a block with the commit votes for the previous block', () => {
+      assert.isTrue(copyOf(chain[2]).rerun(chain[1]));
+    });
+
+    it('should refuse a block whose lastCommit has only one signer', () => {
+      let block = copyOf(chain[2]);
+      block.lastCommit = block.lastCommit.slice(0, 1);
+      assert.isFalse(block.rerun(chain[1]));
+    });
+  });
+});
@@ -0,0 +1,126 @@
+"use strict";
+
+const assert = require('chai').assert;
+const EventEmitter = require('events');
+
+const { utils } = require('spartan-gold');
+
+const TcpNet = require('../tcp-net.js');
+
+const KEYS = require('../sim-keys.json');
+
+const NONCE = "0123456789abcdef";
+
+// Returns the handshake that the keys' owner would send in reply to the nonce.
+function hello(name, connection, nonce=NONCE) {
+  let keyPair = KEYS[name];
+  return {
+    name: name,
+    address: utils.calcAddress(keyPair.public),
+    pubKey: keyPair.public,
+    connection: connection,
+    sig: utils.sign(keyPair.private, nonce),
+  };
+}
+
+// Stands in for a connected net.Socket, recording the data written to it.
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.connecting = false;
+    this.destroyed = false;
+    this.written = [];
+  }
+
+  setEncoding() {}
+
+  write(data) {
+    this.written.push(data);
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+}
+
+describe('TcpNet', () => {
+  let tcpNet;
+
+  beforeEach(() => {
+    tcpNet = new TcpNet({ port: 9000 });
+    tcpNet.owner = Object.assign(new EventEmitter(), {
+      name: "Minnie",
+      address: utils.calcAddress(KEYS.Minnie.public),
+      keyPair: KEYS.Minnie,
+      log: function(){},
+    });
+  });
+
+  describe('.isValidHello', () => {
+    it('should accept a peer that signed the challenge', () => {
+      assert.isTrue(tcpNet.isValidHello(hello("Mickey", { hostname: "localhost", port: 9001 }), NONCE));
+    });
+
+    it('should refuse a peer that signed something else', () => {
+      let o = hello("Mickey", { port: 9001 });
+      assert.isFalse(tcpNet.isValidHello(o, "fedcba9876543210"));
+      o.address = utils.calcAddress(KEYS.Goofy.public);
+      assert.isFalse(tcpNet.isValidHello(o, NONCE));
+    });
+
+    it('should refuse a peer that does not say where it listens', () => {
+      assert.isFalse(tcpNet.isValidHello(hello("Mickey"), NONCE));
+      assert.isFalse(tcpNet.isValidHello(hello("Mickey", "localhost:9001"), NONCE));
+      assert.isFalse(tcpNet.isValidHello(hello("Mickey", { port: "9001" }), NONCE));
+    });
+  });
+
+  describe('.setUpSocket', () => {
+    // Completes the handshake with Mickey over a fake socket.
+    function connectMickey() {
+      let socket = new FakeSocket();
+      tcpNet.setUpSocket(socket);
+      let { msg, o } = JSON.parse(socket.written[0]);
+      assert.equal(msg, TcpNet.CHALLENGE);
+      socket.emit('data', JSON.stringify({ msg: TcpNet.HELLO, o: hello("Mickey", { port: 9001 }, o.nonce) }) + "\n");
+      assert.isTrue(tcpNet.peers.has(utils.calcAddress(KEYS.Mickey.public)));
+      return socket;
+    }
+
+    // Records the payloads of the PING messages that the owner receives.
+    function pings() {
+      let received = [];
+      tcpNet.owner.on("PING", (o) => received.push(o.n));
+      return received;
+    }
+
+    it('should put back together a message split across packets', () => {
+      let socket = connectMickey();
+      let received = pings();
+      let frame = JSON.stringify({ msg: "PING", o: { n: 1 } }) + "\n";
+      socket.emit('data', frame.slice(0, 5));
+      socket.emit('data', frame.slice(5, 20));
+      assert.deepEqual(received, []);
+      socket.emit('data', frame.slice(20));
+      assert.deepEqual(received, [1]);
+    });
+
+    it('should separate messages that arrive in the same packet', () => {
+      let socket = connectMickey();
+      let received = pings();
+      let frames = [1, 2, 3].map((n) => JSON.stringify({ msg: "PING", o: { n } }) + "\n").join("");
+      socket.emit('data', frames.slice(0, -10));
+      assert.deepEqual(received, [1, 2]);
+      socket.emit('data', frames.slice(-10));
+      assert.deepEqual(received, [1, 2, 3]);
+    });
+
+    it('should ignore messages before the handshake', () => {
+      let socket = new FakeSocket();
+      let received = pings();
+      tcpNet.setUpSocket(socket);
+      socket.emit('data', JSON.stringify({ msg: "PING", o: { n: 1 } }) + "\n");
+      assert.deepEqual(received, []);
+    });
+  });
+});
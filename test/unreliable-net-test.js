@@ -0,0 +1,114 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const { makeNetwork } = require('./helpers.js');
+
+describe('UnreliableNet', () => {
+  let clock, net, nodes, received;
+
+  // Sets up Alice, Bob, and Charlie on a network with the given settings,
+  // recording each PING and PONG as it is delivered.
+  function setUp(settings, seed=1) {
+    ({ clock, net, nodes } = makeNetwork({
+      seed,
+      validators: [],
+      clients: [
+        { name: "Alice", balance: 100 },
+        { name: "Bob", balance: 100 },
+        { name: "Charlie", balance: 100 },
+      ],
+      net: settings,
+    }));
+    received = [];
+    Object.values(nodes).forEach((node) => {
+      ["PING", "PONG"].forEach((msg) => {
+        node.on(msg, (o) => received.push({ msg, to: node.name, n: o.n, time: clock.now() }));
+      });
+    });
+  }
+
+  // Sends a message from one node to another, with n to identify it.
+  function send(from, to, n, msg="PING") {
+    net.sendMessage(nodes[to].address, msg, { from: nodes[from].address, n });
+  }
+
+  describe('.sendMessage', () => {
+    it('should use the latency of the link from the sender to the receiver', () => {
+      setUp({ links: [{ from: "Alice", to: "Bob", latency: 300 }, { to: "Charlie", latency: [100, 200] }] });
+      send("Alice", "Bob", 1);
+      send("Bob", "Alice", 2);
+      send("Alice", "Charlie", 3);
+      clock.run();
+
+      let times = {};
+      received.forEach(({ n, time }) => times[n] = time);
+      assert.equal(times[1], 300);
+      assert.equal(times[2], 0);
+      assert.isAtLeast(times[3], 100);
+      assert.isBelow(times[3], 200);
+    });
+
+    it('should only lose messages on a lossy link', () => {
+      setUp({ links: [{ from: "Alice", to: "Bob", loss: 1 }] });
+      for (let n = 0; n < 10; n++) {
+        send("Alice", "Bob", n);
+        send("Alice", "Charlie", n);
+        send("Bob", "Alice", n);
+      }
+      clock.run();
+      assert.equal(received.filter(({ to }) => to === "Bob").length, 0);
+      assert.equal(received.filter(({ to }) => to === "Charlie").length, 10);
+      assert.equal(received.filter(({ to }) => to === "Alice").length, 10);
+    });
+
+    it('should lose about the given fraction of messages, the same way for the same seed', () => {
+      let delivered = (seed) => {
+        setUp({ chanceMessageFails: 0.3 }, seed);
+        for (let n = 0; n < 1000; n++) send("Alice", "Bob", n);
+        clock.run();
+        return received.map(({ n }) => n);
+      };
+      let run1 = delivered(1);
+      assert.isAbove(run1.length, 650);
+      assert.isBelow(run1.length, 750);
+      assert.deepEqual(delivered(1), run1);
+      assert.notDeepEqual(delivered(2), run1);
+    });
+
+    it('should drop the targeted messages only', () => {
+      setUp({ drops: [{ msgType: "PING", from: "Alice" }] });
+      send("Alice", "Bob", 1);
+      send("Alice", "Bob", 2, "PONG");
+      send("Charlie", "Bob", 3);
+      clock.run();
+      assert.deepEqual(received.map(({ n }) => n).sort(), [2, 3]);
+    });
+
+    it('should deliver messages twice when duplicating them', () => {
+      setUp({ duplicateChance: 1 });
+      send("Alice", "Bob", 1);
+      clock.run();
+      assert.deepEqual(received.map(({ n }) => n), [1, 1]);
+    });
+
+    it('should let later messages overtake messages that are held back', () => {
+      setUp({ reorder: { chance: 1, delay: 1000 } });
+      for (let n = 0; n < 20; n++) send("Alice", "Bob", n);
+      clock.run();
+      let order = received.map(({ n }) => n);
+      assert.sameMembers(order, Array.from(Array(20).keys()));
+      assert.notDeepEqual(order, Array.from(Array(20).keys()));
+    });
+
+    it('should lose messages across a partition until it heals', () => {
+      setUp({ partitions: [{ groups: [["Alice"], ["Bob", "Charlie"]], end: 1000 }] });
+      send("Alice", "Bob", 1);
+      send("Bob", "Charlie", 2);
+      clock.run({ until: 1000 });
+      send("Alice", "Bob", 3);
+      clock.run();
+      assert.deepEqual(received.map(({ n }) => n), [2, 3]);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+"use strict";
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ProofOfLock = require('../proof-of-lock.js');
+const Proposal = require('../proposal.js');
+const StakeBlockchain = require('../stake-blockchain.js');
+const Validator = require('../validator.js');
+const Vote = require('../vote.js');
+
+const { makeNetwork } = require('./helpers.js');
+
+describe('Validator', () => {
+  let minnie, mickey;
+
+  beforeEach(() => {
+    let { nodes } = makeNetwork({
+      validators: [
+        { name: "Minnie", balance: 400, stake: 200 },
+        { name: "Mickey", balance: 300, stake: 99 },
+      ],
+    });
+    ({ Minnie: minnie, Mickey: mickey } = nodes);
+  });
+
+  describe('.storeProposedBlock', () => {
+    it('should store valid blocks', () => {
+      let block = StakeBlockchain.makeBlock(mickey.address, mickey.lastBlock);
+      minnie.storeProposedBlock(JSON.parse(JSON.stringify(block)));
+      assert.isDefined(minnie.proposedBlocks[block.id]);
+    });
+
+    it('should discard blocks that fail when rerun', () => {
+      let block = StakeBlockchain.makeBlock(mickey.address, mickey.lastBlock);
+      let o = JSON.parse(JSON.stringify(block));
+      o.totalPower++;
+      minnie.storeProposedBlock(o);
+      assert.deepEqual(minnie.proposedBlocks, {});
+    });
+  });
+
+  describe('.updateLock', () => {
+    let locked, other;
+
+    // The votes are not checked by updateLock, so they are left out.
+    function pol(round, blockID) {
+      return new ProofOfLock({ height: minnie.height, round, blockID, votes: [] });
+    }
+
+    beforeEach(() => {
+      locked = StakeBlockchain.makeBlock(minnie.address, minnie.lastBlock);
+      other = StakeBlockchain.makeBlock(mickey.address, minnie.lastBlock);
+      minnie.proposedBlocks[locked.id] = locked;
+      minnie.proposedBlocks[other.id] = other;
+      minnie.setLock(locked, 2);
+    });
+
+    it('should release the lock on a later POL for NIL', () => {
+      minnie.updateLock(pol(3, StakeBlockchain.NIL));
+      assert.isUndefined(minnie.lockedBlock);
+      assert.isUndefined(minnie.lockedRound);
+    });
+
+    it('should switch the lock on a later POL for another known block', () => {
+      minnie.updateLock(pol(3, other.id));
+      assert.equal(minnie.lockedBlock.id, other.id);
+      assert.equal(minnie.lockedRound, 3);
+    });
+
+    it('should release the lock on a later POL for an unknown block', () => {
+      minnie.updateLock(pol(3, "unknown-block"));
+      assert.isUndefined(minnie.lockedBlock);
+      assert.isUndefined(minnie.lockedRound);
+    });
+
+    it('should compare locks by block ID when the locked block has not arrived', () => {
+      minnie.setLock(undefined, 2, other.id);
+      minnie.updateLock(pol(3, other.id));
+      assert.equal(minnie.lockedBlockID, other.id);
+      assert.equal(minnie.lockedRound, 3);
+      minnie.updateLock(pol(4, StakeBlockchain.NIL));
+      assert.isUndefined(minnie.lockedBlockID);
+    });
+
+    it('should ignore a POL from an earlier round than the lock', () => {
+      minnie.updateLock(pol(1, StakeBlockchain.NIL));
+      minnie.updateLock(pol(1, other.id));
+      assert.equal(minnie.lockedBlock.id, locked.id);
+      assert.equal(minnie.lockedRound, 2);
+    });
+  });
+
+  describe('.bufferFutureVote', () => {
+    // Mickey's prevote for a later round, ahead of Minnie's round.
+    function prevote(roundsAhead, blockID=StakeBlockchain.NIL) {
+      let voter = Object.assign({}, mickey, { height: minnie.height, round: minnie.round + roundsAhead });
+      return Vote.makeVote(voter, StakeBlockchain.PREVOTE, blockID);
+    }
+
+    it('should keep only the latest round from each validator', () => {
+      let [vote2, vote3] = [prevote(2), prevote(3)];
+      minnie.bufferFutureVote(vote3);
+      minnie.bufferFutureVote(vote2);
+      assert.deepEqual(Array.from(minnie.futureVotes.values()), [vote3]);
+      minnie.bufferFutureVote(prevote(4));
+      assert.equal(minnie.futureVotes.size, 1);
+      assert.equal(minnie.futureVotes.values().next().value.round, minnie.round + 4);
+    });
+
+    it('should drop votes too many rounds ahead', () => {
+      minnie.bufferFutureVote(prevote(100));
+      assert.equal(minnie.futureVotes.size, 0);
+    });
+
+    it('should report conflicting votes for the same round', () => {
+      minnie.bufferFutureVote(prevote(1));
+      minnie.bufferFutureVote(prevote(1, minnie.lastBlock.id));
+      assert.equal(minnie.pendingOutgoingTransactions.size, 1);
+    });
+  });
+
+  describe('locking on to a block that has not arrived', () => {
+    let block;
+
+    beforeEach(() => {
+      block = StakeBlockchain.makeBlock(mickey.address, minnie.lastBlock);
+      minnie.initialize();
+      minnie.setLock(undefined, 0, block.id);
+    });
+
+    it('should prevote for the locked block ID', () => {
+      minnie.prevote();
+      let vote = minnie.signedMessages.get(`${StakeBlockchain.PREVOTE}-${minnie.height}-${minnie.round}`);
+      assert.equal(vote.blockID, block.id);
+    });
+
+    it('should fill in the locked block when it arrives', () => {
+      minnie.storeProposedBlock(JSON.parse(JSON.stringify(block)));
+      assert.equal(minnie.lockedBlock.id, block.id);
+    });
+  });
+
+  describe('syncing', () => {
+    // A block made by Mickey at a later height, following a block
+    // that Minnie does not have unless one is given.
+    function laterBlock(height, prevBlock) {
+      if (prevBlock === undefined) {
+        prevBlock = StakeBlockchain.makeBlock(mickey.address, minnie.lastBlock);
+        prevBlock.chainLength = height - 1;
+      }
+      return StakeBlockchain.makeBlock(mickey.address, prevBlock);
+    }
+
+    // Commit votes for a block, signed by the given validators.
+    function commits(block, ...signers) {
+      return signers.map((v) => {
+        let voter = Object.assign({}, v, { height: block.chainLength, round: 0 });
+        return Vote.makeVote(voter, StakeBlockchain.COMMIT, block.id);
+      });
+    }
+
+    // Mickey's proposal for height 5, following a block at height 4
+    // that the given validators committed.  The block includes their
+    // commit votes, as it would if only signers were rewarded.
+    function laterProposal(privKey, ...signers) {
+      let prevBlock = laterBlock(4);
+      prevBlock.proof = commits(prevBlock, ...signers);
+      let block = laterBlock(5, prevBlock);
+      block.lastCommit = prevBlock.proof;
+      let proposal = new Proposal({ from: mickey.address, pubKey: mickey.keyPair.public, block, height: 5, round: 0 });
+      proposal.sign(privKey);
+      return JSON.parse(JSON.stringify(proposal));
+    }
+
+    it('should sync to a later block committed by our validators', () => {
+      let block = laterBlock(5);
+      block.proof = commits(block, minnie, mickey);
+      minnie.receiveBlock(JSON.parse(JSON.stringify(block)));
+      assert.isTrue(minnie.syncing);
+      assert.equal(minnie.syncTarget, 5);
+    });
+
+    it('should not sync to a later block without enough commit votes', () => {
+      let block = laterBlock(5);
+      block.proof = commits(block, mickey);
+      minnie.receiveBlock(JSON.parse(JSON.stringify(block)));
+      assert.isFalse(minnie.syncing);
+    });
+
+    it('should sync to a later missing block committed by our validators', () => {
+      let block = laterBlock(5);
+      block.proof = commits(block, minnie, mickey);
+      minnie.storeProposedBlock(JSON.parse(JSON.stringify(block)));
+      assert.isTrue(minnie.syncing);
+    });
+
+    it('should sync on a signed proposal that follows a committed block', () => {
+      minnie.collectProposal(laterProposal(mickey.keyPair.private, minnie, mickey));
+      assert.isTrue(minnie.syncing);
+      assert.equal(minnie.syncTarget, 4);
+    });
+
+    it('should not sync on a forged proposal for a later height', () => {
+      minnie.collectProposal(laterProposal(minnie.keyPair.private, minnie, mickey));
+      minnie.collectProposal(laterProposal(mickey.keyPair.private, mickey));
+      assert.isFalse(minnie.syncing);
+    });
+
+    it('should not raise the sync target to the height claimed by a peer', () => {
+      minnie.startSync(minnie.lastBlock.chainLength);
+      minnie.receiveBlockRange({ from: mickey.address, height: 100, blocks: [] });
+      assert.isFalse(minnie.syncing);
+    });
+  });
+
+  describe('.replayWal', () => {
+    let walFile = path.join(os.tmpdir(), `validator-${process.pid}.wal`);
+    afterEach(() => {
+      if (fs.existsSync(walFile)) fs.unlinkSync(walFile);
+    });
+
+    // Log messages are silenced, as in makeNetwork.
+    class QuietValidator extends Validator {
+      log() {}
+    }
+
+    // Starts a new instance of Minnie, which replays the WAL.
+    function restart() {
+      return new QuietValidator({ name: "Minnie", net: minnie.net, keyPair: minnie.keyPair, walFile });
+    }
+
+    it('should restore a lock on a block that it does not have', () => {
+      let blockID = StakeBlockchain.makeBlock(mickey.address, minnie.lastBlock).id;
+      let before = restart();
+      before.setGenesisBlock(minnie.lastBlock);
+      before.initialize();
+      before.setLock(undefined, 0, blockID);
+
+      let after = restart();
+      after.setGenesisBlock(minnie.lastBlock);
+      after.initialize();
+      assert.equal(after.lockedBlockID, blockID);
+      assert.equal(after.lockedRound, 0);
+      assert.isUndefined(after.lockedBlock);
+    });
+
+    it('should resend a vote signed before a restart rather than a conflicting one', () => {
+      let vote = Vote.makeNilVote(minnie, StakeBlockchain.PREVOTE);
+      restart().broadcastSigned(StakeBlockchain.PREVOTE, vote);
+
+      let conflicting = Vote.makeVote(minnie, StakeBlockchain.PREVOTE, minnie.lastBlock.id);
+      let sent = restart().broadcastSigned(StakeBlockchain.PREVOTE, conflicting);
+      assert.equal(sent.id, vote.id);
+      assert.equal(sent.blockID, StakeBlockchain.NIL);
+    });
+  });
+});
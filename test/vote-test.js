@@ -0,0 +1,39 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const StakeBlockchain = require('../stake-blockchain.js');
+const Vote = require('../vote.js');
+
+const { makeNetwork } = require('./helpers.js');
+
+describe('Vote', () => {
+  let nodes;
+
+  beforeEach(() => {
+    ({ nodes } = makeNetwork({
+      validators: [
+        { name: "Minnie", balance: 400, stake: 200 },
+        { name: "Mickey", balance: 300, stake: 99 },
+      ],
+      clients: [{ name: "Alice", balance: 100 }],
+    }));
+    nodes.Minnie.initialize();
+  });
+
+  // A prevote from the node for Minnie's current height and round.
+  function prevote(node) {
+    let { height, round } = nodes.Minnie;
+    return Vote.makeNilVote({ address: node.address, keyPair: node.keyPair, height, round }, StakeBlockchain.PREVOTE);
+  }
+
+  describe('.isValid', () => {
+    it('should accept a vote from a validator', () => {
+      assert.isTrue(prevote(nodes.Mickey).isValid(nodes.Minnie));
+    });
+
+    it('should refuse a vote from an address outside the validator set', () => {
+      assert.isFalse(prevote(nodes.Alice).isValid(nodes.Minnie));
+    });
+  });
+});
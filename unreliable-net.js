@@ -2,51 +2,236 @@
 
 const { FakeNet } = require('spartan-gold');
 
+const StakeBlockchain = require('./stake-blockchain.js');
+
 module.exports = class UnreliableNet extends FakeNet {
 
+  /**
+   * Creates a network from a scenario config, which has the settings
+   * for the constructor along with any fault rules.  For example:
+   *
+   *   {
+   *     chanceMessageFails: 0.05,
+   *     messageDelay: 200,
+   *     duplicateChance: 0.01,
+   *     reorder: { chance: 0.1, delay: 500 },
+   *     links: [ { from: "Minnie", to: "Mickey", latency: [100, 300], loss: 0.2 } ],
+   *     partitions: [ { start: 5000, end: 15000, groups: [["Minnie", "Mickey"], ["Goofy", "Donald"]] } ],
+   *     drops: [ { msgType: "PRECOMMIT", to: "Goofy" } ],
+   *   }
+   *
+   * See the constructor for details.
+   *
+   * @param {Object} cfg - The scenario config.
+   *
+   * @returns {UnreliableNet} - The network.
+   */
+  static fromConfig(cfg) {
+    return new UnreliableNet(cfg.chanceMessageFails || 0, cfg.messageDelay || 0, cfg);
+  }
+
   /**
    * Specifies a chance of a message failing to be sent and
    * the maximum delay of a message (in milliseconds) if it
    * is sent.
-   * 
+   *
    * This version is designed to simulate more realistic network
    * conditions for testing.
-   * 
+   *
    * The messageDelay parameter is the maximum -- a message may
    * be delayed any amount of time between 0 ms and the delay specified.
-   * 
+   *
+   * More specific faults may also be given.  Nodes are identified by their
+   * names, and times (in milliseconds) are measured from when clients were
+   * first registered with the network.  Rules with a start or end time only apply in that window.
+   *
+   * - links: Latency and loss for messages from one node to another,
+   *   replacing the default delay and chance of failure.  The latency is
+   *   either a fixed delay or a [min, max] range.  If from or to is left
+   *   out, the rule applies to messages from (or to) any node.
+   * - partitions: Splits the nodes into groups, which cannot reach each
+   *   other until the partition heals at its end time.  Nodes that are not
+   *   in any group are not affected.
+   * - drops: Messages that are lost, selected by any of msgType, from,
+   *   and to.  The chance defaults to 1.
+   * - duplicateChance: Chance that a message is delivered twice.
+   * - reorder: Chance that a message is held back for up to an extra
+   *   delay, so that later messages overtake it.
+   *
+   * A message's sender is taken from the message's "from" field (or
+   * can be passed to sendMessage).  Messages without a sender, such as
+   * blocks, are not affected by rules that name a sender or by partitions.
+   * A message that carries another message (as with GossipNet) is matched
+   * by the type of the message it carries.
+   *
+   * Delays and random choices use the blockchain's clock (see sim-clock.js),
+   * so a simulated run is reproducible.
+   *
    * @param {number} chanceMessageFails - Should be in the range of 0 to 1.
    * @param {number} messageDelay - Time that a message may be delayed.
+   * @param {Object} [faults] - Additional fault rules.
+   * @param {Array} [faults.links] - Per-link latency and loss.
+   * @param {Array} [faults.partitions] - Scripted network partitions.
+   * @param {Array} [faults.drops] - Targeted message drops.
+   * @param {number} [faults.duplicateChance] - Chance of delivering a message twice.
+   * @param {Object} [faults.reorder] - Chance and extra delay for reordering messages.
    */
-  constructor(chanceMessageFails, messageDelay) {
+  constructor(chanceMessageFails, messageDelay, faults={}) {
     super();
     this.chanceMessageFails = chanceMessageFails;
     this.messageDelayMax = messageDelay;
+
+    this.links = faults.links || [];
+    this.partitions = faults.partitions || [];
+    this.drops = faults.drops || [];
+    this.duplicateChance = faults.duplicateChance || 0;
+    this.reorder = faults.reorder || { chance: 0, delay: 0 };
+
+    this.partitions.forEach(({ groups }) => {
+      if (!Array.isArray(groups) || groups.some((g) => !Array.isArray(g))) {
+        throw new Error(`Partition groups must be arrays of node names.`);
+      }
+    });
+  }
+
+  /**
+   * Registers clients, starting the timing of the fault rules
+   * when the first clients are registered.
+   *
+   * @param {...Object} clientList - clients to be registered to this network (may be Client or Miner)
+   */
+  register(...clientList) {
+    super.register(...clientList);
+    if (this.startTime === undefined) this.startTime = StakeBlockchain.clock.now();
   }
 
   /**
    * Sends message msg and payload o directly to Client name.
-   * 
-   * The message may be lost or delayed, with the probability
-   * defined for this instance.
+   *
+   * The message may be lost, delayed, duplicated, or reordered,
+   * according to the settings for this instance.
    *
    * @param {String} address - the public key address of the client or miner to which to send the message
    * @param {String} msg - the name of the event being broadcasted (e.g. "PROOF_FOUND")
    * @param {Object} o - payload of the message
+   * @param {String} [from] - address of the sender, if not given in the payload
    */
-  sendMessage(address, msg, o) {
+  sendMessage(address, msg, o, from) {
     if (typeof o !== 'object') throw new Error(`Expecting an object, but got a ${typeof o}`);
 
-    // Serializing/deserializing the object to prevent cheating in single threaded mode.
-    let o2 = JSON.parse(JSON.stringify(o));
+    // Serializing the object to prevent cheating in single threaded mode.
+    let json = JSON.stringify(o);
 
     const client = this.clients.get(address);
+    if (from === undefined && typeof o.from === 'string') from = o.from;
+    let msgType = typeof o.msgType === 'string' ? o.msgType : msg;
+
+    let sender = this.nameOf(from);
+    let receiver = this.nameOf(address);
+    if (this.isLost(sender, receiver, msgType)) return;
 
-    let delay = Math.floor(Math.random() * this.messageDelayMax);
+    let clock = StakeBlockchain.clock;
+    let copies = clock.random() < this.duplicateChance ? 2 : 1;
+    for (let i = 0; i < copies; i++) {
+      let delay = this.delayFor(sender, receiver);
+      if (clock.random() < this.reorder.chance) {
+        delay += Math.floor(clock.random() * this.reorder.delay);
+      }
 
-    if (Math.random() > this.chanceMessageFails) {
-      setTimeout(() => client.emit(msg, o2), delay);
+      // Deserializing each copy separately, in case a receiver modifies it.
+      clock.setTimeout(() => client.emit(msg, JSON.parse(json)), delay);
+    }
+  }
+
+  /**
+   * Returns the name of the registered client with the specified
+   * address, or undefined if there is no such client.
+   */
+  nameOf(address) {
+    let client = this.clients.get(address);
+    return client === undefined ? undefined : client.name;
+  }
+
+  /**
+   * Returns true if a rule with a start and/or end time applies now.
+   */
+  isActive(rule) {
+    let elapsed = StakeBlockchain.clock.now() - this.startTime;
+    return (rule.start === undefined || elapsed >= rule.start) &&
+        (rule.end === undefined || elapsed < rule.end);
+  }
+
+  /**
+   * Returns true if a rule applies to a message from the sender to the
+   * receiver.  A rule that does not name a sender or receiver applies to all.
+   */
+  matchesLink(rule, sender, receiver) {
+    return (rule.from === undefined || rule.from === sender) &&
+        (rule.to === undefined || rule.to === receiver) &&
+        this.isActive(rule);
+  }
+
+  /**
+   * Finds the link rule for messages from the sender to the receiver.
+   */
+  linkFor(sender, receiver) {
+    return this.links.find((link) => this.matchesLink(link, sender, receiver));
+  }
+
+  /**
+   * Decides whether a message is lost, either because of a partition,
+   * a targeted drop, or random loss on the link.
+   *
+   * @param {String} sender - Name of the sender (if known).
+   * @param {String} receiver - Name of the receiver.
+   * @param {String} msgType - Type of the message.
+   *
+   * @returns {boolean} - True if the message should not be delivered.
+   */
+  isLost(sender, receiver, msgType) {
+    if (this.isPartitioned(sender, receiver)) return true;
+
+    let dropped = this.drops.some((rule) => {
+      if (rule.msgType !== undefined && rule.msgType !== msgType) return false;
+      if (!this.matchesLink(rule, sender, receiver)) return false;
+      let chance = rule.chance === undefined ? 1 : rule.chance;
+      return StakeBlockchain.clock.random() < chance;
+    });
+    if (dropped) return true;
+
+    let link = this.linkFor(sender, receiver);
+    let loss = (link !== undefined && link.loss !== undefined) ? link.loss : this.chanceMessageFails;
+    return StakeBlockchain.clock.random() < loss;
+  }
+
+  /**
+   * Returns true if an active partition puts the sender and the receiver in
+   * different groups.  A message is never partitioned from its own sender.
+   */
+  isPartitioned(sender, receiver) {
+    if (sender === undefined || sender === receiver) return false;
+    return this.partitions.some((partition) => {
+      if (!this.isActive(partition)) return false;
+      let senderGroup = partition.groups.findIndex((g) => g.includes(sender));
+      let receiverGroup = partition.groups.findIndex((g) => g.includes(receiver));
+      return senderGroup !== -1 && receiverGroup !== -1 && senderGroup !== receiverGroup;
+    });
+  }
+
+  /**
+   * Picks a delay for a message from the sender to the receiver,
+   * using the link's latency if it has one.
+   */
+  delayFor(sender, receiver) {
+    let link = this.linkFor(sender, receiver);
+    if (link === undefined || link.latency === undefined) {
+      return Math.floor(StakeBlockchain.clock.random() * this.messageDelayMax);
+    }
+    if (Array.isArray(link.latency)) {
+      let [min, max] = link.latency;
+      return min + Math.floor(StakeBlockchain.clock.random() * (max - min));
     }
+    return link.latency;
   }
 
-};
\ No newline at end of file
+};
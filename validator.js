@@ -2,22 +2,63 @@
 
 const { Miner } = require('spartan-gold');
 
+const EventLog = require('./event-log.js');
+const Mempool = require('./mempool.js');
+const ProofOfLock = require('./proof-of-lock.js');
 const Proposal = require('./proposal.js');
 const StakeBlock = require('./stake-block.js');
 const StakeBlockchain = require('./stake-blockchain.js');
 const StakeMixin = require('./stake-mixin.js');
 const Vote = require('./vote.js');
+const WriteAheadLog = require('./wal.js');
+
+// Votes for rounds further ahead than this are dropped rather than buffered,
+// so that a Byzantine validator cannot fill up our memory with them.
+const MAX_FUTURE_ROUNDS = 5;
 
 module.exports = class Validator extends Miner {
 
+  /**
+   * In addition to the settings for a miner, a validator may be given
+   * a file for its write-ahead log (WAL).  If the file already exists,
+   * it is replayed to restore the validator's consensus state.
+   * 
+   * @param {Object} obj - The properties of the validator.
+   * @param {String} [obj.walFile] - Path of the validator's write-ahead log.
+   * @param {number} [obj.mempoolSize] - Maximum number of pending transactions held.
+   * @param {EventLog} [obj.eventLog] - Log for structured consensus events.
+   */
   constructor(...args) {
     super(...args);
 
     // Mixing in common methods/properties for clients and validators.
     Object.assign(this, StakeMixin);
 
-    // Storing transactions for next block.
-    this.transactions = new Set();
+    let { walFile, mempoolSize, eventLog } = args[0] || {};
+    this.eventLog = eventLog;
+
+    // Storing transactions until they are committed.
+    this.mempool = new Mempool({ maxSize: mempoolSize });
+
+    // Proposed blocks waiting on a missing previous block:
+    //   prevBlockHash -> Map of blockID -> block
+    this.orphanedBlocks = new Map();
+
+    // Tracking whether we are catching up with the committed chain,
+    // and the height of the latest block known to be committed.
+    this.syncing = false;
+    this.syncTarget = 0;
+
+    // Every proposal and vote signed by this validator:  "type-height-round" -> message
+    this.signedMessages = new Map();
+
+    // Locks recorded in the WAL:  height -> WAL record
+    this.walLocks = new Map();
+
+    if (walFile !== undefined) {
+      this.wal = new WriteAheadLog(walFile);
+      this.replayWal();
+    }
   }
 
   setGenesisBlock(genesis) {
@@ -28,6 +69,10 @@ module.exports = class Validator extends Miner {
    * Starts listeners and begins block production.
    */
   initialize() {
+    // Collection buckets for proposals and blocks.
+    this.proposals = [];
+    this.proposedBlocks = {};
+
     this.startNewSearch();
 
     this.on(StakeBlockchain.POST_TRANSACTION, this.addTransaction);
@@ -38,9 +83,13 @@ module.exports = class Validator extends Miner {
     this.on(StakeBlockchain.PRECOMMIT, this.collectPrecommit);
     this.on(StakeBlockchain.COMMIT, this.collectCommit);
 
-    // Collection buckets for proposals and blocks.
-    this.proposals = [];
-    this.proposedBlocks = {};
+    // Listeners for fetching blocks that this validator is missing.
+    this.on(StakeBlockchain.REQUEST_BLOCK, this.provideBlock);
+    this.on(StakeBlockchain.PROVIDE_BLOCK, this.storeProposedBlock);
+
+    // Listeners for catching up with the committed chain.
+    this.on(StakeBlockchain.SYNC_REQUEST, this.provideBlockRange);
+    this.on(StakeBlockchain.SYNC_RESPONSE, this.receiveBlockRange);
 
     // Tracking votes
     this.prevotes = {};
@@ -48,8 +97,53 @@ module.exports = class Validator extends Miner {
     this.commits = {};
 
     // Start block production
-    setTimeout(() => this.newRound(), 0);
+    this.scheduleStep(() => this.newRound(), 0);
+
+  }
 
+  /**
+   * Stops block production and stops listening for messages.
+   */
+  stop() {
+    StakeBlockchain.clock.clearTimeout(this.stepTimer);
+    this.removeAllListeners();
+  }
+
+  /**
+   * Records a consensus event, if the validator has an event log.
+   * 
+   * @param {String} type - The type of event (see event-log.js).
+   * @param {Object} [details] - Additional fields for the type of event.
+   */
+  logEvent(type, details) {
+    if (this.eventLog === undefined) return;
+    this.eventLog.record(Object.assign({
+      time: StakeBlockchain.clock.now(),
+      type: type,
+      validator: this.name,
+      address: this.address,
+      height: this.height,
+      round: this.round,
+    }, details));
+  }
+
+  /**
+   * Returns the fields of a proposal or vote that are recorded in events.
+   * 
+   * @param {Proposal | Vote} message - The proposal or vote.
+   */
+  static messageDetails(message) {
+    let details = {
+      from: message.from,
+      blockID: message.blockID,
+      msgHeight: message.height,
+      msgRound: message.round,
+    };
+    if (!(message instanceof Proposal)) {
+      details.voteID = message.id;
+      details.voteType = message.type;
+    }
+    return details;
   }
 
   /**
@@ -65,11 +159,199 @@ module.exports = class Validator extends Miner {
     this.round = 0;
 
     // Remove any locks from the previous height.
-    //delete this.lockedBlock;
+    delete this.lockedBlockID;
+    delete this.lockedBlock;
+    delete this.lockedRound;
+    delete this.proofOfLock;
+
+    // Votes for later rounds of the current height, keeping only the
+    // latest round from each validator:  "from-type" -> vote
+    this.futureVotes = new Map();
+
+    // Messages and locks from earlier heights can no longer cause trouble.
+    this.signedMessages.forEach((msg, key) => {
+      if (msg.height < this.height) this.signedMessages.delete(key);
+    });
+    this.walLocks.forEach((_, height) => {
+      if (height < this.height) this.walLocks.delete(height);
+    });
+    if (this.wal !== undefined) {
+      this.wal.compact(this.height);
+      this.resumeFromWal();
+    }
+  }
+
+  /**
+   * Reads the WAL after a restart, restoring the messages that
+   * this validator signed and the locks that it held.
+   */
+  replayWal() {
+    this.wal.readAll().forEach((record) => {
+      switch (record.kind) {
+        case WriteAheadLog.SIGNED: {
+          let msg = record.msgType === StakeBlockchain.BLOCK_PROPOSAL ?
+              new Proposal(record.message) : new Vote(record.message);
+          this.signedMessages.set(`${record.msgType}-${msg.height}-${msg.round}`, msg);
+          break;
+        }
+        case WriteAheadLog.LOCK:
+        case WriteAheadLog.UNLOCK:
+          this.walLocks.set(record.height, record);
+          break;
+      }
+    });
+    this.log(`Replayed ${this.signedMessages.size} signed messages from the WAL.`);
+  }
+
+  /**
+   * If the WAL shows that this validator has already taken part in
+   * the current height, it restores its lock and rejoins the last round
+   * that it signed anything in.  Any messages that it sends in that round
+   * will be the ones recorded in the WAL.
+   */
+  resumeFromWal() {
+    let lastRound = 0;
+    this.signedMessages.forEach((msg) => {
+      if (msg.height === this.height && msg.round > lastRound) {
+        lastRound = msg.round;
+      }
+    });
+    this.advanceRoundsBefore(lastRound);
+
+    let record = this.walLocks.get(this.height);
+    if (record === undefined || record.kind !== WriteAheadLog.LOCK) return;
+
+    this.lockedBlockID = record.blockID;
+    this.lockedRound = record.lockedRound;
+    if (record.block !== undefined) {
+      let block = StakeBlockchain.deserializeBlock(record.block);
+      let prevBlock = this.blocks.get(block.prevBlockHash);
+      if (prevBlock !== undefined && block.rerun(prevBlock)) {
+        this.proposedBlocks[block.id] = block;
+        this.lockedBlock = block;
+      }
+    }
+    if (lastRound > 0) {
+      this.log(`Resuming height ${this.height} at round ${lastRound} from the WAL.`);
+    }
+  }
+
+  /**
+   * Records a proposal or vote in the WAL and then broadcasts it.  If this
+   * validator has already signed a different message of the same type for
+   * the same height and round (perhaps before a restart), the original
+   * message is sent instead, so that the validator never equivocates.
+   * 
+   * @param {String} msgType - BLOCK_PROPOSAL, PREVOTE, PRECOMMIT, or COMMIT.
+   * @param {Proposal | Vote} message - The signed message.
+   * 
+   * @returns {Proposal | Vote} - The message that was broadcast.
+   */
+  broadcastSigned(msgType, message) {
+    let key = `${msgType}-${message.height}-${message.round}`;
+    let previous = this.signedMessages.get(key);
+    if (previous !== undefined && previous.id !== message.id) {
+      this.log(`Already signed a ${msgType} for ${message.height}-${message.round}; resending it.`);
+      message = previous;
+    } else if (previous === undefined) {
+      this.signedMessages.set(key, message);
+      let type = msgType === StakeBlockchain.BLOCK_PROPOSAL ? EventLog.PROPOSAL_SENT : EventLog.VOTE_CAST;
+      this.logEvent(type, Validator.messageDetails(message));
+      if (this.wal !== undefined) {
+        this.wal.append({ kind: WriteAheadLog.SIGNED, height: message.height, msgType, message });
+      }
+    }
+
+    this.net.broadcast(msgType, message);
+    return message;
+  }
+
+  /**
+   * Locks on to a block for the current height, recording the lock in the WAL.
+   * The lock is on the block ID, since we may not have the block yet; the
+   * block is filled in when it arrives (see storeProposedBlock).
+   * 
+   * @param {StakeBlock} block - The block, or undefined if we do not have it yet.
+   * @param {number} round - The round where we locked on to the block.
+   * @param {String} [blockID] - ID of the block, if we do not have it yet.
+   */
+  setLock(block, round, blockID=block.id) {
+    this.logEvent(EventLog.LOCKED, { blockID: blockID, lockedRound: round });
+    this.lockedBlockID = blockID;
+    this.lockedBlock = block;
+    this.lockedRound = round;
+    let record = { kind: WriteAheadLog.LOCK, height: this.height, lockedRound: round, blockID: blockID, block: block };
+    this.walLocks.set(this.height, record);
+    if (this.wal !== undefined) this.wal.append(record);
+  }
+
+  /**
+   * Releases any lock for the current height, recording the change in the WAL.
+   */
+  releaseLock() {
+    if (this.lockedRound !== undefined) {
+      this.logEvent(EventLog.UNLOCKED, { blockID: this.lockedBlockID, lockedRound: this.lockedRound });
+    }
+    delete this.lockedBlockID;
+    delete this.lockedBlock;
+    delete this.lockedRound;
+    let record = { kind: WriteAheadLog.UNLOCK, height: this.height };
+    this.walLocks.set(this.height, record);
+    if (this.wal !== undefined) this.wal.append(record);
+  }
+
+  /**
+   * Schedules the next step of consensus.  Only one step is pending at a
+   * time, so any step that has already been scheduled is cancelled.  This
+   * allows the validator to skip ahead to a later round.
+   * 
+   * @param {Function} step - The next step.
+   * @param {number} delay - Time to wait before the step, in milliseconds.
+   * @param {String} [waitingFor] - The consensus step that we are waiting
+   *    on (e.g. STEP_PREVOTE while collecting prevotes), if any.
+   */
+  scheduleStep(step, delay, waitingFor) {
+    StakeBlockchain.clock.clearTimeout(this.stepTimer);
+    this.stepTimer = StakeBlockchain.clock.setTimeout(step, delay);
+    this.waitingFor = waitingFor;
+    if (waitingFor !== undefined) {
+      this.nextStep = step;
+      this.advanceIfReady();
+    }
+  }
+
+  /**
+   * If the blockchain is configured to advance early, the validator moves on
+   * to the next step once it has what it is waiting for:  a valid proposal,
+   * or more than 2/3 of the votes for a block (or for NIL).
+   */
+  advanceIfReady() {
+    if (!StakeBlockchain.ADVANCE_EARLY) return;
+
+    let ready = false;
+    switch (this.waitingFor) {
+      case StakeBlockchain.STEP_PROPOSE:
+        ready = this.proposals.some((proposal) =>
+          this.proposedBlocks[proposal.blockID] !== undefined && proposal.isValid(this));
+        break;
+      case StakeBlockchain.STEP_PREVOTE:
+        ready = this.countVotes(this.prevotes) !== undefined;
+        break;
+      case StakeBlockchain.STEP_PRECOMMIT:
+        ready = this.countVotes(this.precommits) !== undefined;
+        break;
+      case StakeBlockchain.STEP_COMMIT:
+        ready = this.countVotes(this.commits) !== undefined;
+        break;
+    }
+
+    if (ready) {
+      this.scheduleStep(this.nextStep, 0);
+    }
   }
 
   get availableGold() {
-    return super.availableGold - this.amountGoldStaked();
+    return super.availableGold - this.amountGoldLocked();
   }
 
   /**
@@ -87,6 +369,12 @@ module.exports = class Validator extends Miner {
       return;
     }
 
+    // Votes for later rounds are held until we reach that round.
+    if (vote.isFuture(this.height, this.round)) {
+      this.bufferFutureVote(vote);
+      return;
+    }
+
     // Check for Byzantine votes
     out: if (ballotBox[vote.from] !== undefined) {
       let currentVote = ballotBox[vote.from];
@@ -109,6 +397,77 @@ module.exports = class Validator extends Miner {
 
     // If we made it here, store the validator's vote.
     ballotBox[vote.from] = vote;
+    this.logEvent(EventLog.VOTE_COUNTED, Validator.messageDetails(vote));
+  }
+
+  /**
+   * Holds on to a prevote or precommit for a later round of the current height.
+   * If validators with more than 1/3 of the voting power have voted in a later
+   * round, at least one honest validator has moved on to that round, so we
+   * skip ahead to it rather than waiting for our own timers.
+   * 
+   * Only the vote for the latest round is kept for each validator and type
+   * of vote, and votes more than MAX_FUTURE_ROUNDS ahead are dropped.
+   * 
+   * @param {Vote} vote - A vote for a later round.
+   */
+  bufferFutureVote(vote) {
+    if (vote.round > this.round + MAX_FUTURE_ROUNDS) return;
+
+    let key = `${vote.from}-${vote.type}`;
+    let currentVote = this.futureVotes.get(key);
+    if (currentVote !== undefined) {
+      if (currentVote.round > vote.round || currentVote.id === vote.id) return;
+      if (currentVote.round === vote.round) {
+        this.postEvidenceTransaction(vote.from, currentVote, vote);
+        return;
+      }
+    }
+    this.futureVotes.set(key, vote);
+
+    // Skipping rounds is not possible once we have committed to a block,
+    // or while we are catching up with the network.
+    if (this.nextBlock !== undefined || this.syncing) return;
+
+    let voters = new Set();
+    let power = 0;
+    this.futureVotes.forEach((v) => {
+      if (v.round >= vote.round && !voters.has(v.from)) {
+        voters.add(v.from);
+        power += this.currentBlock.votingPowerOf(v.from);
+      }
+    });
+
+    if (power > this.currentBlock.totalPower / 3) {
+      this.skipToRound(vote.round);
+    }
+  }
+
+  /**
+   * Abandons the current round and starts the specified round.
+   * 
+   * @param {number} round - The later round to start.
+   */
+  skipToRound(round) {
+    this.log(`Skipping from round ${this.height}-${this.round} to round ${this.height}-${round}.`);
+    StakeBlockchain.clock.clearTimeout(this.stepTimer);
+
+    this.advanceRoundsBefore(round);
+    this.newRound();
+  }
+
+  /**
+   * Moves up to the round before the specified round, so that the next call
+   * to newRound starts that round.  The proposer changes every round,
+   * including the rounds that we skip.
+   * 
+   * @param {number} round - The round to be started next.
+   */
+  advanceRoundsBefore(round) {
+    while (this.round < round - 1) {
+      this.round++;
+      this.determineProposer();
+    }
   }
 
   /**
@@ -121,15 +480,14 @@ module.exports = class Validator extends Miner {
    * @returns ID of the winning block.
    */
   countVotes(ballotBox) {
-    let totalStake = this.currentBlock.getTotalStake();
-    let votesNeeded = 2 * totalStake / 3;
+    let votesNeeded = 2 * this.currentBlock.totalPower / 3;
 
     let candidateBlocks = {};
 
     let winningBlockID = undefined;
 
     Object.keys(ballotBox).forEach((voterAddr) => {
-      let stake = this.currentBlock.amountGoldStaked(voterAddr);
+      let stake = this.currentBlock.votingPowerOf(voterAddr);
       let vote = ballotBox[voterAddr];
 
       // Ignore stale votes (unless they are commits)
@@ -154,6 +512,36 @@ module.exports = class Validator extends Miner {
     return winningBlockID;
   }
 
+  /**
+   * Records how the votes in a ballot box were counted:  the block that
+   * each validator voted for, the voting power behind each block, and
+   * the winning block (if any block had more than 2/3 of the power).
+   * 
+   * @param {String} voteType - The type of the votes.
+   * @param {Object} ballotBox - Collection of votes, voterAddr -> vote.
+   * @param {String} [winningBlockID] - The result of countVotes.
+   */
+  logTally(voteType, ballotBox, winningBlockID) {
+    if (this.eventLog === undefined) return;
+
+    let votes = {};
+    let power = {};
+    Object.keys(ballotBox).forEach((voterAddr) => {
+      let vote = ballotBox[voterAddr];
+      if (vote.isStale(this.height, this.round)) return;
+      votes[voterAddr] = vote.blockID;
+      power[vote.blockID] = (power[vote.blockID] || 0) + this.currentBlock.votingPowerOf(voterAddr);
+    });
+
+    this.logEvent(EventLog.VOTES_TALLIED, {
+      voteType: voteType,
+      votes: votes,
+      power: power,
+      totalPower: this.currentBlock.totalPower,
+      winner: winningBlockID,
+    });
+  }
+
   /**
    * Start a new round to find a block.
    */
@@ -162,8 +550,22 @@ module.exports = class Validator extends Miner {
     // until we reach a new height.
     if (this.nextBlock !== undefined) return;
 
+    // While catching up with the network, we sit out of consensus,
+    // checking back periodically to see if we have finished.
+    if (this.syncing) {
+      this.scheduleStep(() => this.newRound(), StakeBlockchain.DELTA);
+      return;
+    }
+
     // Update the round count.
     this.round++;
+    this.logEvent(EventLog.ROUND_STARTED, {
+      lockedBlockID: this.lockedBlockID,
+      lockedRound: this.lockedRound,
+    });
+
+    // Any votes that were held for this round can now be counted.
+    this.replayFutureVotes();
 
     // According to TM v. 0.6, commits for older rounds
     // are automatically counted as prevotes and precommits for
@@ -179,16 +581,34 @@ module.exports = class Validator extends Miner {
 
     // If the validator is the proposer, propose a block.
     if (this.address === this.currentProposer) {
-      // If it previously locked on to a block, share it.
+      // If it previously locked on to a block, share it.  If we do not
+      // have the block yet, we cannot propose anything else in its place.
       if (this.lockedBlock !== undefined) {
         this.shareProposal(this.lockedBlock);
-      } else {
+      } else if (this.lockedBlockID === undefined) {
         this.proposeBlock();
+      } else {
+        this.log(`Not proposing, since we are locked on to block ${this.lockedBlockID}, which we do not have.`);
       }
     }
 
     // We wait to collect proposals before we choose one.
-    setTimeout(() => this.prevote(), this.round*StakeBlockchain.DELTA);
+    this.scheduleStep(() => this.prevote(),
+      StakeBlockchain.timeout(StakeBlockchain.STEP_PROPOSE, this.round), StakeBlockchain.STEP_PROPOSE);
+  }
+
+  /**
+   * Moves the buffered votes for the current round into the ballot boxes,
+   * and discards any votes for earlier rounds.
+   */
+  replayFutureVotes() {
+    this.futureVotes.forEach((vote, key) => {
+      if (vote.round > this.round) return;
+      this.futureVotes.delete(key);
+      if (vote.round === this.round) {
+        this.verifyAndVote(vote, vote.type === StakeBlockchain.PREVOTE ? this.prevotes : this.precommits);
+      }
+    });
   }
 
   /**
@@ -197,7 +617,7 @@ module.exports = class Validator extends Miner {
    * more stake propose blocks more often.
    */
   determineProposer() {
-    let proposerPower = 0;
+    let proposerPower = -Infinity;
     this.roundAccumPower.forEach((power, addr) => {
       //this.log(`   ${addr} has ${power} (${typeof power}) voting power.`);
       if (power > proposerPower) {
@@ -206,6 +626,7 @@ module.exports = class Validator extends Miner {
       }
     });
     this.log(`The block proposer for ${this.height}-${this.round} is ${this.currentProposer}`);
+    this.logEvent(EventLog.PROPOSER_CHOSEN, { proposer: this.currentProposer });
     this.updateRoundAccumPower(this.currentProposer);
   }
 
@@ -221,7 +642,7 @@ module.exports = class Validator extends Miner {
 
     // We increase the voting power of each validator by the amount of
     // gold they have staked (or "bonded" by the terminology of their paper).
-    this.currentBlock.stakeBalances.forEach((amountBonded, addr) => {
+    this.currentBlock.validators.forEach((amountBonded, addr) => {
       let power = this.roundAccumPower.get(addr) || 0;
       this.roundAccumPower.set(addr, power + amountBonded);
       totalBonded += amountBonded;
@@ -230,7 +651,7 @@ module.exports = class Validator extends Miner {
     // The block proposer's power is reduced by the total amount
     // of **all** gold bonded, do that the total amount of voting
     // power is unchanged.
-    let currentPower = this.roundAccumPower.get(proposerAddr);
+    let currentPower = this.roundAccumPower.get(proposerAddr) || 0;
     this.roundAccumPower.set(proposerAddr, currentPower - totalBonded);
   }
 
@@ -239,14 +660,12 @@ module.exports = class Validator extends Miner {
     // *the block height (in block)
     // *the round (done)
     // *signature (done)
-    // *"proof-of-lock" if locked onto a block from a previous round
+    // *"proof-of-lock" if locked onto a block from a previous round (done)
     this.currentBlock = StakeBlockchain.makeBlock(this.address, this.lastBlock);
 
-    // Add queued-up transactions to block.
-    this.transactions.forEach((tx) => {
-      this.currentBlock.addTransaction(tx, this);
-    });
-    this.transactions.clear();
+    // Add pending transactions to block.  They stay in the mempool
+    // until a block including them is committed.
+    this.mempool.fillBlock(this.currentBlock, this);
 
     this.log(`Proposing block ${this.currentBlock.id} for round ${this.currentBlock.chainLength}-${this.round}.`);
 
@@ -257,19 +676,31 @@ module.exports = class Validator extends Miner {
     this.shareProposal(this.currentBlock);
   }
 
+  /**
+   * Signs and broadcasts a proposal for the specified block.  The most
+   * recent proof-of-lock is included, unless it is for a different block.
+   * 
+   * @param {StakeBlock} block - The proposed block.
+   */
   shareProposal(block) {
+    let pol = this.proofOfLock;
+    if (pol !== undefined && !pol.isNil() && pol.blockID !== block.id) {
+      pol = undefined;
+    }
+
     let proposal = new Proposal({
       from: this.address,
       block: block,
       blockID: block.id,
       height: this.height,
       round: this.round,
+      pol: pol,
       pubKey: this.keyPair.public,
     });
 
     proposal.sign(this.keyPair.private);
 
-    this.net.broadcast(StakeBlockchain.BLOCK_PROPOSAL, proposal);
+    this.broadcastSigned(StakeBlockchain.BLOCK_PROPOSAL, proposal);
   }
 
   /**
@@ -279,75 +710,422 @@ module.exports = class Validator extends Miner {
    * @param {Proposal} proposal - A proposal for a new block, along with some metadata.
    */
   collectProposal(proposal) {
-    this.proposals.push(new Proposal(proposal));
-    let block = StakeBlockchain.deserializeBlock(proposal.block);
+    proposal = new Proposal(proposal);
+
+    // A proposal for a later height means that we have missed at least
+    // one committed block, provided that the proposal is real.
+    if (proposal.height > this.height + 1 && this.provesCommitted(proposal)) {
+      this.startSync(proposal.height - 1);
+    }
+
+    this.logEvent(EventLog.PROPOSAL_RECEIVED, Validator.messageDetails(proposal));
+    this.proposals.push(proposal);
+    this.storeProposedBlock(proposal.block);
+    this.advanceIfReady();
+  }
+
+  /**
+   * Stores a proposed block, either from a proposal or in response to
+   * a request for a missing block.  Blocks that are not valid when rerun
+   * on top of the previous block are discarded.
+   * 
+   * If we don't have the previous block, the block is set aside and the
+   * previous block is requested from the network.  Once the previous block
+   * arrives (see receiveBlock), the orphaned block is processed again.
+   * 
+   * @param {StakeBlock | Object} block - The proposed block.
+   */
+  storeProposedBlock(block) {
+    block = StakeBlockchain.deserializeBlock(block);
+    if (this.proposedBlocks[block.id] !== undefined) return;
+
+    // A missing block that we requested may turn out to be committed.
+    this.syncIfCommittedAhead(block);
+
+    let prevBlock = this.blocks.get(block.prevBlockHash);
+    if (prevBlock === undefined) {
+      let orphans = this.orphanedBlocks.get(block.prevBlockHash);
+      if (orphans === undefined) {
+        this.requestMissingBlock(block);
+        orphans = new Map();
+        this.orphanedBlocks.set(block.prevBlockHash, orphans);
+      }
+      orphans.set(block.id, block);
+      return;
+    }
+
+    // Otherwise, we rerun the block to update balances/etc. and store it,
+    // unless it turns out to be invalid.
+    if (!block.rerun(prevBlock)) {
+      this.log(`Rejecting invalid block ${block.id}.`);
+      return;
+    }
+    this.proposedBlocks[block.id] = block;
+
+    // We may have locked on to the block before we had it.
+    if (block.id === this.lockedBlockID) {
+      this.lockedBlock = block;
+    }
+  }
+
+  /**
+   * In addition to the usual processing, any proposed blocks
+   * that were waiting on the new block are stored.
+   * 
+   * @param {Block | Object} s - The block
+   */
+  receiveBlock(s) {
+    let block = StakeBlockchain.deserializeBlock(s);
+
+    this.syncIfCommittedAhead(block);
+
+    let prevLastBlock = this.lastBlock;
+    let result = super.receiveBlock(block);
+
+    // Transactions committed by any proposer are no longer pending.
+    if (this.blocks.has(block.id)) {
+      this.mempool.removeCommitted(this.lastBlock);
+    }
+
+    if (this.lastBlock !== prevLastBlock) {
+      this.logCommit(this.lastBlock);
+    }
+
+    let orphans = this.orphanedBlocks.get(block.id);
+    if (orphans !== undefined && this.blocks.has(block.id)) {
+      this.orphanedBlocks.delete(block.id);
+      orphans.forEach((b) => this.storeProposedBlock(b));
+    }
+
+    return result;
+  }
+
+  /**
+   * Records the commit of a new last block, along with any slashing
+   * that the block's evidence transactions resulted in.
+   * 
+   * @param {StakeBlock} block - The new last block.
+   */
+  logCommit(block) {
+    if (this.eventLog === undefined) return;
+
+    this.logEvent(EventLog.COMMITTED, { blockID: block.id, blockHeight: block.chainLength });
 
-    // If we don't have the previous block, we don't accept the block.
-    // Fetching the missing blocks will be triggered if the block is
-    // actually accepted.
     let prevBlock = this.blocks.get(block.prevBlockHash);
     if (prevBlock === undefined) return;
+    block.transactions.forEach((tx) => {
+      if (tx.data === undefined || tx.data.type !== StakeBlock.TX_TYPE_EVIDENCE) return;
+      let evidenceID = StakeBlock.evidenceID(tx.data.msg1, tx.data.msg2);
+      if (!block.punishments.has(evidenceID) || prevBlock.punishments.has(evidenceID)) return;
+      let cheater = tx.data.msg1.from;
+      this.logEvent(EventLog.SLASHED, {
+        cheater: cheater,
+        blockID: block.id,
+        stakeBefore: prevBlock.amountGoldStaked(cheater),
+        stakeAfter: block.amountGoldStaked(cheater),
+      });
+    });
+  }
+
+  /**
+   * A validator restored from a snapshot (see block-store.js) does not have
+   * the blocks before its starting block, so the last confirmed block
+   * is never older than the oldest block that it has.
+   */
+  setLastConfirmed() {
+    let block = this.lastBlock;
+    let confirmedBlockHeight = block.chainLength - StakeBlockchain.CONFIRMED_DEPTH;
+    while (block.chainLength > confirmedBlockHeight && this.blocks.has(block.prevBlockHash)) {
+      block = this.blocks.get(block.prevBlockHash);
+    }
+    this.lastConfirmedBlock = block;
+
+    // Update pending transactions according to the new last confirmed block.
+    this.pendingOutgoingTransactions.forEach((tx, txID) => {
+      if (this.lastConfirmedBlock.contains(tx)) {
+        this.pendingOutgoingTransactions.delete(txID);
+      }
+    });
+  }
+
+  /**
+   * Asks the network for a block that this validator does not have.
+   * 
+   * @param {String} blockID - ID of the missing block.
+   */
+  requestBlock(blockID) {
+    this.log(`Requesting missing block ${blockID}`);
+    let msg = {
+      from: this.address,
+      blockID: blockID,
+    };
+    this.net.broadcast(StakeBlockchain.REQUEST_BLOCK, msg);
+  }
+
+  /**
+   * Sends the requested block, whether proposed or committed,
+   * if this validator has it.
+   * 
+   * @param {Object} msg - Request for a block.
+   * @param {String} msg.from - Address of the validator requesting the block.
+   * @param {String} msg.blockID - ID of the requested block.
+   */
+  provideBlock(msg) {
+    let block = this.proposedBlocks[msg.blockID] || this.blocks.get(msg.blockID);
+    if (block !== undefined && msg.from !== this.address) {
+      this.log(`Providing block ${msg.blockID}`);
+      this.net.sendMessage(msg.from, StakeBlockchain.PROVIDE_BLOCK, block);
+    }
+  }
+
+  /**
+   * If we are missing several blocks, it is faster to sync than to request
+   * the missing blocks one at a time.  We only trust that a block beyond
+   * our next block was committed if more than 2/3 of our validators signed
+   * its commit certificate.  Otherwise, anyone could keep us out of
+   * consensus by sending blocks for later heights.
+   * 
+   * @param {StakeBlock} block - A block that may be ahead of our last block.
+   */
+  syncIfCommittedAhead(block) {
+    if (block.chainLength > this.lastBlock.chainLength + 1 &&
+        this.lastBlock.certifies(block.proof, block.chainLength, block.id)) {
+      this.startSync(block.chainLength);
+    }
+  }
+
+  /**
+   * Checks that a proposal for a later height shows that the network has
+   * committed the blocks before it.  We do not know who should propose at
+   * that height, so instead the proposal must be signed by one of our
+   * validators, and its block must include the commit votes for the
+   * previous block from more than 2/3 of our validators.
+   * 
+   * The commit votes are only included when only signers are rewarded.
+   * Otherwise, the previous block is requested as a missing block
+   * (see storeProposedBlock), and its own commit certificate is checked
+   * when it arrives.
+   * 
+   * @param {Proposal} proposal - A proposal for a later height.
+   * 
+   * @returns {boolean} - True if the proposal proves that we are behind.
+   */
+  provesCommitted(proposal) {
+    if (!this.lastBlock.validators.has(proposal.from) || !proposal.hasValidSignature()) {
+      return false;
+    }
+    let block = proposal.block;
+    return this.lastBlock.certifies(block.lastCommit, proposal.height - 1, block.prevBlockHash);
+  }
+
+  /**
+   * Switches into sync mode, where the validator sits out of consensus and
+   * downloads the committed blocks that it is missing from its peers.
+   * 
+   * @param {number} targetHeight - Height of the latest block known to be committed.
+   */
+  startSync(targetHeight) {
+    this.syncTarget = Math.max(this.syncTarget, targetHeight);
+    if (this.syncing) return;
+
+    this.log(`Fell behind at height ${this.lastBlock.chainLength}; syncing up to height ${this.syncTarget}.`);
+    this.syncing = true;
+    this.requestBlockRange();
+  }
+
+  /**
+   * Asks peers for the committed blocks following our last block.  If the
+   * request makes no progress before the timeout (perhaps because every
+   * response was lost), the validator gives up on syncing; it will try again
+   * once it notices that it is still behind.
+   */
+  requestBlockRange() {
+    let startHeight = this.lastBlock.chainLength + 1;
+    this.syncRequestHeight = startHeight;
+
+    let msg = {
+      from: this.address,
+      startHeight: startHeight,
+      count: StakeBlockchain.SYNC_BATCH_SIZE,
+    };
+    this.net.broadcast(StakeBlockchain.SYNC_REQUEST, msg);
+
+    StakeBlockchain.clock.setTimeout(() => {
+      if (!this.syncing || this.syncRequestHeight !== startHeight) return;
+      if (this.lastBlock.chainLength >= startHeight) {
+        this.requestBlockRange();
+      } else {
+        this.log(`No response to sync request for height ${startHeight}.`);
+        this.finishSync();
+      }
+    }, StakeBlockchain.COMMIT_TIME);
+  }
+
+  /**
+   * Sends a range of committed blocks, along with their commit certificates,
+   * to a validator that is catching up.
+   * 
+   * @param {Object} msg - Request for blocks.
+   * @param {String} msg.from - Address of the validator requesting the blocks.
+   * @param {number} msg.startHeight - Height of the first block requested.
+   * @param {number} msg.count - Number of blocks requested.
+   */
+  provideBlockRange(msg) {
+    if (msg.from === this.address || !Number.isInteger(msg.startHeight) || !Number.isInteger(msg.count)) return;
+
+    let endHeight = msg.startHeight + Math.min(msg.count, StakeBlockchain.SYNC_BATCH_SIZE) - 1;
+    let blocks = [];
+    let block = this.lastBlock;
+    while (block !== undefined && block.chainLength >= msg.startHeight) {
+      if (block.chainLength <= endHeight) blocks.unshift(block);
+      block = this.blocks.get(block.prevBlockHash);
+    }
+    if (blocks.length === 0) return;
+
+    this.log(`Providing blocks ${msg.startHeight}-${blocks[blocks.length-1].chainLength} to ${msg.from}`);
+    this.net.sendMessage(msg.from, StakeBlockchain.SYNC_RESPONSE, {
+      from: this.address,
+      blocks: blocks,
+    });
+  }
 
-    // Otherwise, we rerun the block to update balances/etc. and store it.
-    block.rerun(prevBlock);
-    this.proposedBlocks[proposal.blockID] = block;
+  /**
+   * Replays the blocks received from a peer in order.  Each block is
+   * rerun and its commit certificate is checked against the validator set
+   * (see receiveBlock).  Once we have caught up, we rejoin consensus.
+   * 
+   * The height that the peer claims to have reached is not signed, so it
+   * is not used to raise the sync target.  If we are still behind once we
+   * reach the target, a later proposal or block will start another sync.
+   * 
+   * @param {Object} msg - Response to a sync request.
+   * @param {Array} msg.blocks - The committed blocks.
+   */
+  receiveBlockRange(msg) {
+    if (!this.syncing || !Array.isArray(msg.blocks)) return;
+
+    let blocks = msg.blocks.map((b) => StakeBlockchain.deserializeBlock(b));
+    blocks.sort((a, b) => a.chainLength - b.chainLength);
+    for (let block of blocks) {
+      if (this.blocks.has(block.id)) continue;
+      this.receiveBlock(block);
+      if (!this.blocks.has(block.id)) {
+        this.log(`Rejecting synced block ${block.id} from ${msg.from}.`);
+        break;
+      }
+    }
+
+    if (this.lastBlock.chainLength >= this.syncTarget) {
+      this.finishSync();
+    } else if (this.lastBlock.chainLength >= this.syncRequestHeight + StakeBlockchain.SYNC_BATCH_SIZE - 1) {
+      // We have the whole batch, so we ask for the next one.
+      this.requestBlockRange();
+    }
+  }
+
+  /**
+   * Leaves sync mode, so that the validator takes part in consensus
+   * again at the height after its last block.
+   */
+  finishSync() {
+    this.log(`Finished syncing at height ${this.lastBlock.chainLength}.`);
+    this.syncing = false;
+    this.syncTarget = 0;
+    delete this.syncRequestHeight;
   }
 
   /**
    * Prevote for a proposal, by the following rules:
    * 
-   * 1) If locked on to a previous block, vote for the locked block.
+   * 1) If the proposal includes a proof-of-lock from a later round than
+   *   the validator's lock, release or switch the lock.
+   * 
+   * 2) If locked on to a previous block, vote for the locked block.
    * 
-   * 2) Otherwise, if a valid proposal is received, vote for the new block.
+   * 3) Otherwise, if a valid proposal is received for a valid block,
+   *   vote for the new block.
    * 
-   * 3) Otherwise vote NIL.
+   * 4) Otherwise vote NIL.
    * 
    * This method should also check for conflicting proposals from the block proposer.
    */
   prevote() {
     let vote = undefined;
 
-    // If locked on to a vote, stick with it.
-    if (this.lockedBlock !== undefined) {
-      vote = Vote.makeVote(this, StakeBlockchain.PREVOTE, this.lockedBlock.id);
-
-    } else {
-      // Otherwise, go through all proposals and select the best one.
-      let bestProposal = undefined;
-      this.proposals.forEach((proposal) => {
-        if (proposal.isValid(this)) {
-          // We should not receive 2 valid proposals in a round,
-          // unless they are duplicates or the proposer is Byzantine.
-          if (bestProposal !== undefined) {
-            if (bestProposal.blockID === proposal.blockID) {
-              // Ignore duplicates
-              return;
-            } else {
-              this.postEvidenceTransaction(proposal.from, bestProposal, proposal);
-            }
+    // Go through all proposals and select the best one.
+    let bestProposal = undefined;
+    this.proposals.forEach((proposal) => {
+      if (this.proposedBlocks[proposal.blockID] !== undefined && proposal.isValid(this)) {
+        // We should not receive 2 valid proposals in a round,
+        // unless they are duplicates or the proposer is Byzantine.
+        if (bestProposal !== undefined) {
+          if (bestProposal.blockID === proposal.blockID) {
+            // Ignore duplicates
+            return;
           } else {
-            bestProposal = proposal;
+            this.postEvidenceTransaction(proposal.from, bestProposal, proposal);
           }
+        } else {
+          bestProposal = proposal;
         }
-      });
-
-      if (bestProposal === undefined) {
-        // No valid proposal received -- vote NIL
-        vote = Vote.makeNilVote(this, StakeBlockchain.PREVOTE);
-      } else {
-        // Otherwise, vote for the best received.
-        vote = Vote.makeVote(this, StakeBlockchain.PREVOTE, bestProposal.blockID);
       }
+    });
+
+    if (bestProposal !== undefined && bestProposal.pol !== undefined) {
+      this.updateLock(bestProposal.pol);
+    }
+
+    if (this.lockedBlockID !== undefined) {
+      // If locked on to a block, stick with it, even if we do not have it yet.
+      vote = Vote.makeVote(this, StakeBlockchain.PREVOTE, this.lockedBlockID);
+    } else if (bestProposal === undefined) {
+      // No valid proposal received -- vote NIL
+      vote = Vote.makeNilVote(this, StakeBlockchain.PREVOTE);
+    } else {
+      // Otherwise, vote for the best received.
+      vote = Vote.makeVote(this, StakeBlockchain.PREVOTE, bestProposal.blockID);
     }
 
     //this.log(`Voting for block ${vote.blockID}`);
 
     // Clearing out proposals and sharing vote.
     this.proposals = [];
-    this.net.broadcast(StakeBlockchain.PREVOTE, vote);
+    this.broadcastSigned(StakeBlockchain.PREVOTE, vote);
 
     // After voting, set timer before determining precommit.
-    setTimeout(() => this.precommit(), this.round*StakeBlockchain.DELTA);
+    this.scheduleStep(() => this.precommit(),
+      StakeBlockchain.timeout(StakeBlockchain.STEP_PREVOTE, this.round), StakeBlockchain.STEP_PREVOTE);
+  }
+
+  /**
+   * Updates the validator's lock according to a (valid) proof-of-lock.
+   * A POL from the same round or an earlier round than the lock is ignored.
+   * Otherwise, a POL for NIL releases the lock, and a POL for another block
+   * switches the lock to that block.
+   * 
+   * @param {ProofOfLock} pol - A proof-of-lock from a proposal.
+   */
+  updateLock(pol) {
+    // Keep the freshest POL, so that it can be shared in our own proposals.
+    if (this.proofOfLock === undefined || pol.round > this.proofOfLock.round) {
+      this.proofOfLock = pol;
+    }
+
+    if (this.lockedBlockID === undefined || pol.round <= this.lockedRound) return;
+
+    if (pol.isNil()) {
+      this.log(`Releasing lock on block ${this.lockedBlockID} due to POL for NIL in round ${pol.round}.`);
+      this.releaseLock();
+    } else if (this.proposedBlocks[pol.blockID] === undefined) {
+      // We know that the network has moved on, even if we don't have the block.
+      this.log(`Releasing lock on block ${this.lockedBlockID} due to POL for unknown block ${pol.blockID}.`);
+      this.releaseLock();
+    } else {
+      if (pol.blockID !== this.lockedBlockID) {
+        this.log(`Switching lock from block ${this.lockedBlockID} to ${pol.blockID} (round ${pol.round}).`);
+      }
+      this.setLock(this.proposedBlocks[pol.blockID], pol.round);
+    }
   }
 
   /**
@@ -358,6 +1136,7 @@ module.exports = class Validator extends Miner {
    */
   collectPrevote(vote) {
     this.verifyAndVote(vote, this.prevotes);
+    this.advanceIfReady();
   }
 
   /**
@@ -369,33 +1148,45 @@ module.exports = class Validator extends Miner {
    * 2) If NIL gains 2/3 votes, release any locks.
    * 
    * 3) If no 2/3 majority is reached do nothing.
+   * 
+   * In the first two cases, the prevotes are saved as a proof-of-lock.
    */
   precommit() {
     let winningBlockID = this.countVotes(this.prevotes);
-    this.prevotes = {};
+    this.logTally(StakeBlockchain.PREVOTE, this.prevotes, winningBlockID);
 
-    //****FIXME: Need to make a proof-of-lock for both block consensus
-    // or for NIL consensus.
+    if (winningBlockID !== undefined) {
+      let pol = ProofOfLock.makeProofOfLock(this, this.prevotes, winningBlockID);
+      if (pol.isValid(this)) this.proofOfLock = pol;
+    }
+
+    this.prevotes = {};
 
     if (winningBlockID === undefined) {
       //this.log(`Failed to reach 2/3 majority needed for precommit at height ${this.height}, round ${this.round}.`);
     } else if (winningBlockID === StakeBlockchain.NIL) {
       // If we receive 2/3 NIL votes, release any locks.
-      delete this.lockedBlock;
+      this.releaseLock();
     } else {
       // There is some ambiguity between Tendermint 0.5 and 0.6.  TM 0.5
       // indicates that a validator locks on to a **proposal**.  TM 0.6 instead
       // states that a validator locks on to a **block**.  We follow the latter.
       this.log(`Locking on to block ${winningBlockID}`);
-      this.lockedBlock = this.proposedBlocks[winningBlockID];
-    
+      this.setLock(this.proposedBlocks[winningBlockID], this.round, winningBlockID);
+
+      // Start fetching the block now, since we will likely need it to commit.
+      if (this.lockedBlock === undefined) {
+        this.requestBlock(winningBlockID);
+      }
+
       // Broadcasting successful precommit.
       let vote = Vote.makeVote(this, StakeBlockchain.PRECOMMIT, winningBlockID);
-      this.net.broadcast(StakeBlockchain.PRECOMMIT, vote);
+      this.broadcastSigned(StakeBlockchain.PRECOMMIT, vote);
     }
 
     // Setting to decide on whether to commit.
-    setTimeout(() => this.commitDecision(), this.round*StakeBlockchain.DELTA);
+    this.scheduleStep(() => this.commitDecision(),
+      StakeBlockchain.timeout(StakeBlockchain.STEP_PRECOMMIT, this.round), StakeBlockchain.STEP_PRECOMMIT);
   }
 
   /**
@@ -406,6 +1197,7 @@ module.exports = class Validator extends Miner {
    */
   collectPrecommit(precommit) {
     this.verifyAndVote(precommit, this.precommits);
+    this.advanceIfReady();
   }
 
   /**
@@ -414,10 +1206,11 @@ module.exports = class Validator extends Miner {
    */
   commitDecision() {
     let winningBlockID = this.countVotes(this.precommits);
+    this.logTally(StakeBlockchain.PRECOMMIT, this.precommits, winningBlockID);
     this.precommits = {};
 
     if (winningBlockID === undefined || winningBlockID === StakeBlockchain.NIL) {
-      setTimeout(() => this.newRound(), 0);
+      this.scheduleStep(() => this.newRound(), 0);
     } else {
       this.commit(winningBlockID);
     }
@@ -430,18 +1223,35 @@ module.exports = class Validator extends Miner {
    * 1) Get the block if the validator does not already have it.
    * 
    * 2) Once the validator has the block, broadcast a commit.
+   * 
+   * If the block is not available, it is requested from the network, and
+   * the validator checks again later.  If the validator moves to a new height
+   * in the meantime (by receiving the committed block), it starts a new round.
+   * 
+   * @param {String} winningBlockID - ID of the block receiving 2/3 precommits.
+   * @param {number} [height] - The height when the validator decided to commit.
    */
-  commit(winningBlockID) {
-    // **FIXME** Handle case where block is not available.
+  commit(winningBlockID, height=this.height) {
+    if (this.height !== height) {
+      this.newRound();
+      return;
+    }
+
+    if (this.proposedBlocks[winningBlockID] === undefined) {
+      this.requestBlock(winningBlockID);
+      this.scheduleStep(() => this.commit(winningBlockID, height), StakeBlockchain.DELTA);
+      return;
+    }
 
     this.nextBlock = this.proposedBlocks[winningBlockID];
 
     this.log(`Committing to block ${winningBlockID}`);
 
     let vote = Vote.makeVote(this, StakeBlockchain.COMMIT, winningBlockID);
-    this.net.broadcast(StakeBlockchain.COMMIT, vote);
+    this.broadcastSigned(StakeBlockchain.COMMIT, vote);
 
-    setTimeout(() => this.finalizeCommit(), this.round*StakeBlockchain.DELTA);
+    this.scheduleStep(() => this.finalizeCommit(),
+      StakeBlockchain.timeout(StakeBlockchain.STEP_COMMIT, this.round), StakeBlockchain.STEP_COMMIT);
   }
 
   /**
@@ -452,32 +1262,60 @@ module.exports = class Validator extends Miner {
    */
   collectCommit(commit) {
     this.verifyAndVote(commit, this.commits);
+    this.advanceIfReady();
   }
 
   finalizeCommit() {
+    // If the committed block arrived from another validator while we were
+    // waiting, we have already moved on to the next height.
+    if (this.height !== this.nextBlock.chainLength) {
+      delete this.nextBlock;
+      this.newRound();
+      return;
+    }
+
     let winningBlockID = this.countVotes(this.commits);
+    this.logTally(StakeBlockchain.COMMIT, this.commits, winningBlockID);
 
     if (winningBlockID === undefined) {
       // If we have less than 2/3 commits, wait longer.
       this.log(`No consensus on ${this.nextBlock.id} (${this.height}-${this.round}) yet.  Waiting...`);
-      setTimeout(() => this.finalizeCommit(), StakeBlockchain.DELTA);
+      this.scheduleStep(() => this.finalizeCommit(), StakeBlockchain.DELTA, StakeBlockchain.STEP_COMMIT);
     } else {
+      // The commit votes are stored in the block as proof that it was committed.
+      this.nextBlock.proof = this.gatherCommits(winningBlockID);
       this.commits = {};
-      setTimeout(() => this.newHeight(), StakeBlockchain.COMMIT_TIME);
+      this.scheduleStep(() => this.newHeight(), StakeBlockchain.COMMIT_TIME);
     }
   }
 
-  newHeight() {
-    // **FIXME** Gather up signatures.
+  /**
+   * Collects the commit votes for the specified block at the current height,
+   * forming the block's commit certificate.
+   * 
+   * @param {String} blockID - ID of the committed block.
+   * 
+   * @returns {Array} - The commit votes for the block.
+   */
+  gatherCommits(blockID) {
+    let votes = [];
+    Object.keys(this.commits).forEach((voterAddr) => {
+      let vote = this.commits[voterAddr];
+      if (vote.type === StakeBlockchain.COMMIT && vote.height === this.height && vote.blockID === blockID) {
+        votes.push(vote);
+      }
+    });
+    return votes;
+  }
 
-    // Announce new block.
+  newHeight() {
+    // Announce new block, along with its commit certificate.
     this.currentBlock = this.nextBlock;
     this.announceProof();
 
     // Reset details
     //this.commits = {};
     delete this.nextBlock;
-    delete this.lockedBlock;
     //this.round = 0;
 
     // Start working on the next block.
@@ -490,12 +1328,50 @@ module.exports = class Validator extends Miner {
     //}, 0);
   }
 
+  /**
+   * Checks a new transaction against the last committed block,
+   * and adds it to the mempool if it is valid.
+   * 
+   * @param {Transaction | Object} tx - The transaction.
+   * 
+   * @returns {boolean} - True if the transaction was accepted.
+   */
   addTransaction(tx) {
     tx = StakeBlockchain.makeTransaction(tx);
-    this.transactions.add(tx);
+    return this.mempool.add(tx, this.lastBlock, this);
+  }
+
+  /**
+   * Determines whether the evidence has already been included in a block,
+   * or is waiting in the validator's pending transactions.
+   * 
+   * @param {String} evidenceID - ID of the evidence, from StakeBlock.evidenceID.
+   * 
+   * @returns {boolean} - True if the evidence has already been reported.
+   */
+  evidenceReported(evidenceID) {
+    if (this.lastBlock.punishments.has(evidenceID) || this.currentBlock.punishments.has(evidenceID)) {
+      return true;
+    }
+
+    for (let tx of this.mempool.values()) {
+      if (tx.data !== undefined && tx.data.type === StakeBlock.TX_TYPE_EVIDENCE &&
+          StakeBlock.evidenceID(tx.data.msg1, tx.data.msg2) === evidenceID) {
+        return true;
+      }
+    }
+
+    return false;
   }
 
   postEvidenceTransaction(faultyAddr, oldMessage, newMessage) {
+    // A Byzantine validator may see its own conflicting messages,
+    // but reporting itself would only burn its own stake.
+    if (faultyAddr === this.address) return;
+
+    // Don't report the same evidence twice.
+    if (this.evidenceReported(StakeBlock.evidenceID(oldMessage, newMessage))) return;
+
     // Broadcasting the new transaction.
     let tx = StakeBlockchain.makeTransaction({
       from: this.address,
@@ -519,6 +1395,11 @@ module.exports = class Validator extends Miner {
     this.nonce++;
 
     this.log(`Posting evidence transaction ${tx.id} against ${faultyAddr}`);
+    this.logEvent(EventLog.EVIDENCE_POSTED, {
+      cheater: faultyAddr,
+      evidenceType: oldMessage instanceof Proposal ? StakeBlockchain.BLOCK_PROPOSAL : oldMessage.type,
+      txID: tx.id,
+    });
 
     this.net.broadcast(StakeBlockchain.POST_TRANSACTION, tx);
 
@@ -108,6 +108,12 @@ module.exports = class Vote {
       return false;
     }
 
+    // Votes for the current height must be from its validator set.
+    if (validator.height === this.height && !validator.currentBlock.validators.has(this.from)) {
+      validator.log(`Ignoring ${this.type} vote ${this.id} from ${this.from}, who is not a validator.`);
+      return false;
+    }
+
     if (!this.hasValidSignature()) {
       validator.log(`Invalid signature for vote ${this.id}.`);
       return false;
@@ -140,6 +146,15 @@ module.exports = class Vote {
     }
   }
 
+  /**
+   * Returns true if this is a prevote or precommit for a later
+   * round of the specified height.  (Commits are valid for all
+   * subsequent rounds, so they are never treated as future votes.)
+   */
+  isFuture(height, round) {
+    return this.height === height && this.round > round && this.type !== StakeBlockchain.COMMIT;
+  }
+
   isStale(height, round) {
     if (this.height < height) {
       return true;
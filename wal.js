@@ -0,0 +1,89 @@
+"use strict";
+
+const fs = require('fs');
+
+// Kinds of records stored in the log.
+const SIGNED = "SIGNED";
+const LOCK = "LOCK";
+const UNLOCK = "UNLOCK";
+
+/**
+ * A write-ahead log (WAL) for a validator's consensus state.  Every proposal
+ * and vote is recorded before it is broadcast, as is every change to the
+ * validator's lock.  After a crash, the validator replays the log so that it
+ * does not sign a message that conflicts with one it signed before the crash,
+ * which would get it slashed.
+ *
+ * Records are stored one per line as JSON.  Each write is flushed to disk
+ * before returning, so that a record is never lost once the message that it
+ * describes has been sent.
+ */
+module.exports = class WriteAheadLog {
+
+  static get SIGNED() { return SIGNED; }
+  static get LOCK() { return LOCK; }
+  static get UNLOCK() { return UNLOCK; }
+
+  /**
+   * @param {String} fileName - Path of the log file, which is created if it does not exist.
+   */
+  constructor(fileName) {
+    this.fileName = fileName;
+  }
+
+  /**
+   * Writes a record to the end of the log.
+   *
+   * @param {Object} record - The record, which must include its height.
+   */
+  append(record) {
+    let fd = fs.openSync(this.fileName, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(record) + "\n");
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Reads all records from the log.  If the validator crashed partway through
+   * writing a record, that record is incomplete and is ignored.  (Since the
+   * record had not been written, the message it describes was never sent.)
+   *
+   * @returns {Array} - The records, in the order that they were written.
+   */
+  readAll() {
+    if (!fs.existsSync(this.fileName)) return [];
+
+    let records = [];
+    for (let line of fs.readFileSync(this.fileName, 'utf8').split("\n")) {
+      if (line.trim() === "") continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (e) {
+        break;
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Discards records from heights before the specified height, since they
+   * are no longer needed once the validator has moved on.  The log is
+   * rewritten to a temporary file first, so that a crash while compacting
+   * the log does not lose any records.
+   *
+   * @param {number} height - The lowest height to keep.
+   */
+  compact(height) {
+    let records = this.readAll();
+    let kept = records.filter((record) => record.height >= height);
+    if (kept.length === records.length) return;
+
+    let tmpFileName = `${this.fileName}.tmp`;
+    fs.writeFileSync(tmpFileName, kept.map((record) => JSON.stringify(record) + "\n").join(""));
+    fs.renameSync(tmpFileName, this.fileName);
+  }
+
+};
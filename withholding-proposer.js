@@ -0,0 +1,60 @@
+"use strict";
+
+const StakeBlockchain = require('./stake-blockchain.js');
+const Validator = require('./validator.js');
+
+/**
+ * This class behaves like a normal validator, except that when it
+ * proposes a block, it only sends the proposal to some of the other
+ * validators.  It also refuses to provide the block to the validators
+ * that it withheld the proposal from.
+ *
+ * (The other validators may still pass the block along, so the withheld
+ * validators can catch up once a block is committed.)
+ */
+module.exports = class WithholdingProposer extends Validator {
+
+  /**
+   * @param {Object} obj - The properties of the validator.
+   * @param {Array} [obj.withholdFrom] - Addresses of the validators that do not
+   *    receive its proposals.  By default, proposals are withheld from half
+   *    of the other validators.
+   */
+  constructor(...args) {
+    super(...args);
+    let { withholdFrom } = args[0] || {};
+    this.withholdFrom = withholdFrom;
+  }
+
+  /**
+   * Returns the addresses of the validators that do not receive proposals.
+   */
+  withheldAddresses() {
+    if (this.withholdFrom !== undefined) return new Set(this.withholdFrom);
+    let others = Array.from(this.currentBlock.validators.keys()).filter((addr) => addr !== this.address);
+    return new Set(others.slice(Math.ceil(others.length / 2)));
+  }
+
+  broadcastSigned(msgType, message) {
+    if (msgType !== StakeBlockchain.BLOCK_PROPOSAL) {
+      return super.broadcastSigned(msgType, message);
+    }
+
+    let withheld = this.withheldAddresses();
+    this.log(`Withholding proposal for ${message.height}-${message.round} from ${withheld.size} validators.`);
+    this.signedMessages.set(`${msgType}-${message.height}-${message.round}`, message);
+    this.net.sendMessage(this.address, msgType, message);
+    this.currentBlock.validators.forEach((_, addr) => {
+      if (addr !== this.address && !withheld.has(addr)) {
+        this.net.sendMessage(addr, msgType, message);
+      }
+    });
+    return message;
+  }
+
+  provideBlock(msg) {
+    if (this.withheldAddresses().has(msg.from)) return;
+    super.provideBlock(msg);
+  }
+
+};